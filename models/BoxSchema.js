@@ -1,5 +1,11 @@
 const mongoose = require("mongoose");
 
+const BoxDimensionsSchema = new mongoose.Schema({
+  length: { type: Number },  // in inches
+  breadth: { type: Number },  // in inches
+  height: { type: Number }  // in inches
+}, { _id: false });
+
 const BoxSchema = new mongoose.Schema({
   box_name: { type: String, required: true, unique: true },  // Box Name (Ensuring uniqueness)
   length: { type: Number, required: true },  // in inches
@@ -7,6 +13,17 @@ const BoxSchema = new mongoose.Schema({
   height: { type: Number, required: true },  // in inches
   max_weight: { type: Number, required: true },  // in kg
   quantity: { type: Number, required: true },  // Quantity of boxes
+  name: { type: String, default: null },  // Name shown in packing results, box_name when empty
+  cost: { type: Number, default: null },  // Cost of one box; estimated from volume when empty
+  shippingCost: { type: Number, default: null },  // Estimated from volume and max weight when empty
+  priority: { type: Number, default: 1 },  // Higher = preferred choice
+  popularity: { type: Number, default: 0 },  // Usage frequency score
+  fragileSupport: { type: Boolean, default: true },  // Can hold fragile items
+  maxStackLayers: { type: Number, default: 10 },
+  tareWeight: { type: Number, default: 0 },  // Empty box weight, in kg
+  wallThickness: { type: Number, default: 0 },  // in inches
+  inner: { type: BoxDimensionsSchema, default: null },  // Usable space; length/breadth/height when empty
+  outer: { type: BoxDimensionsSchema, default: null },  // Shipped size; inner plus two walls when empty
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   createdAt: { type: Date, default: Date.now },
   lastUpdated: { type: Date },
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 
 const ItemDataSchema = new mongoose.Schema({
   productName: { type: String, required: true, unique: true },
+  sku: { type: String, default: null },  // Stock keeping unit, used to match imported orders
   category: { type: String, default: null },
   quantity: { type: Number, default: 0 },
   brand: { type: String, default: null },
@@ -16,6 +17,16 @@ const ItemDataSchema = new mongoose.Schema({
     radius: { type: Number, default: null },
   },
   productDetails: { type: String, default: null },
+  // Packing attributes; the packer fills in its defaults for empty ones
+  isFragile: { type: Boolean, default: false },
+  maxStackHeight: { type: Number, default: null },  // Highest stack of this item, in inches (10 × height when empty)
+  maxStackWeight: { type: Number, default: null },  // Weight the item can bear on top, in kg (50 × weight when empty)
+  canRotate: { type: Boolean, default: true },
+  thisSideUp: { type: Boolean, default: false },  // May turn about the vertical axis only
+  allowedOrientations: { type: [Number] },  // Orientation indices 0-5 the packer may use (all when empty)
+  priority: { type: Number, default: 1 },  // Higher = packed first
+  value: { type: Number, default: 0 },  // Value of one item
+  damageCost: { type: Number, default: null },  // Cost of one damaged item (10% of value when empty)
   unitOfMeasurement: { type: String, default: null },
   unitOfWeight: { type: String, default: null },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -25,4 +36,6 @@ const ItemDataSchema = new mongoose.Schema({
   deletedAt: { type: Date, default: null } 
 });
 
+ItemDataSchema.index({ createdBy: 1, sku: 1 });
+
 module.exports = mongoose.model("ItemData", ItemDataSchema);
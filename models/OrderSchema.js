@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Status lifecycle: new -> planned -> packed -> shipped; new and planned orders can be cancelled
+const ORDER_STATUSES = ["new", "planned", "packed", "shipped", "cancelled"];
+
+const OrderLineSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: "ItemData", required: true },
+  productName: { type: String },  // Snapshot when the order was placed
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+  orderNumber: { type: String, required: true },
+  customer: {
+    name: { type: String, required: true },
+    email: { type: String },
+    phone: { type: String }
+  },
+  destination: {
+    line1: { type: String, required: true },
+    line2: { type: String },
+    city: { type: String, required: true },
+    state: { type: String },
+    pincode: { type: String, required: true },
+    country: { type: String, default: "IN" }
+  },
+  lines: { type: [OrderLineSchema], validate: lines => lines.length > 0 },
+  status: { type: String, enum: ORDER_STATUSES, default: "new" },
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: "PackingPlan" },  // Latest plan
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },  // Stock held for the plan
+  shipment: {
+    carrier: { type: String },
+    serviceType: { type: String },
+    trackingNumber: { type: String },
+    shippedAt: { type: Date }
+  },
+  importBatch: { type: String },  // Set on orders created by a CSV import
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+OrderSchema.index({ createdBy: 1, orderNumber: 1 }, { unique: true });
+OrderSchema.index({ createdBy: 1, status: 1, createdAt: -1 });
+OrderSchema.index({ createdBy: 1, importBatch: 1 });
+
+module.exports = mongoose.model("Order", OrderSchema);
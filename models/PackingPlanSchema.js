@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A packing plan as computed by /optimal-packing2 or /enhanced-packing, kept so
+// it can be looked up and executed later. Layouts are stored in inches and kg
+const PackingPlanSchema = new mongoose.Schema({
+  source: { type: String, enum: ["optimal-packing2", "enhanced-packing", "order"], required: true },
+  status: { type: String, enum: ["planned", "executed", "superseded"], default: "planned" },
+  supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: "PackingPlan" },  // Plan that replaced it when its order was planned again
+  algorithm: {
+    requested: { type: String },
+    used: { type: String }
+  },
+  input: {  // Snapshot of what was packed, in inches and kg
+    products: [{ type: mongoose.Schema.Types.Mixed }],
+    cartons: [{ type: mongoose.Schema.Types.Mixed }],
+    options: { type: mongoose.Schema.Types.Mixed },
+    units: {  // Units the caller asked for
+      length: { type: String },
+      weight: { type: String }
+    }
+  },
+  productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "ItemData" }],  // Stored items in the plan
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },  // Order the plan was made for
+  packingResults: [{ type: mongoose.Schema.Types.Mixed }],  // Per-carton layout, orientation and cost
+  unpackedProducts: [{ type: mongoose.Schema.Types.Mixed }],
+  remainingQuantity: { type: Number, default: 0 },
+  summary: { type: mongoose.Schema.Types.Mixed },
+  execution: {  // Stock taken when the plan was executed
+    boxes: [{ boxId: String, name: String, quantity: Number, remaining: Number }],
+    items: [{ itemId: String, name: String, quantity: Number, remaining: Number }],
+    executedAt: { type: Date },
+    executedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+PackingPlanSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PackingPlan", PackingPlanSchema);
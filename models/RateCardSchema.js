@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const ZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  origins: [{ type: String }],  // Pincode prefixes, "*" matches any
+  destinations: [{ type: String }],
+  transitDays: { type: Number }  // Falls back to the carrier rule set when missing
+}, { _id: false });
+
+const SlabSchema = new mongoose.Schema({
+  zone: { type: String, required: true },
+  maxWeight: { type: Number, required: true },  // Billable weight up to, in kg
+  price: { type: Number, required: true }
+}, { _id: false });
+
+const AdditionalWeightSchema = new mongoose.Schema({
+  zone: { type: String, required: true },
+  step: { type: Number, required: true },  // Every extra step (kg) beyond the heaviest slab
+  price: { type: Number, required: true }
+}, { _id: false });
+
+const SurchargeSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  basis: { type: String, enum: ["flat", "percent"], default: "flat" },  // percent is of freight
+  amount: { type: Number, required: true },
+  zones: [{ type: String }]  // Empty applies to every zone
+}, { _id: false });
+
+const RateCardSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  carrier: { type: String, required: true },  // Key in config/carrierRules.json
+  serviceType: { type: String, required: true },
+  currency: { type: String, default: "INR" },
+  zones: [ZoneSchema],
+  slabs: [SlabSchema],
+  additionalWeight: [AdditionalWeightSchema],
+  surcharges: [SurchargeSchema],
+  fuelSurchargePercent: { type: Number, default: 0 },
+  limits: {  // Per-piece limits overriding the carrier rule set
+    maxWeight: { type: Number },  // in kg
+    maxLength: { type: Number },  // Longest side, in cm
+    maxLengthPlusGirth: { type: Number }  // in cm
+  },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now }
+});
+
+RateCardSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("RateCard", RateCardSchema);
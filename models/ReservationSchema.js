@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// A hold on boxes and items for a plan or order. Holds count against stock
+// until they expire; MongoDB then removes them through the TTL index
+const ReservationSchema = new mongoose.Schema({
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: "PackingPlan" },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  boxes: [{
+    box: { type: mongoose.Schema.Types.ObjectId, ref: "BoxData", required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  items: [{
+    item: { type: mongoose.Schema.Types.ObjectId, ref: "ItemData", required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  note: { type: String },
+  expiresAt: { type: Date, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+ReservationSchema.index({ createdBy: 1, plan: 1 });
+
+module.exports = mongoose.model("Reservation", ReservationSchema);
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const BoxData = require("../models/BoxSchema");
+const { getRequestUnits, lengthToInches, weightToKg, volumeFromCubicInches, presentBox } = require("../utils/units");
+const { getReservedQuantities, withAvailability } = require("../utils/reservations");
 
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { sanitizeInput, validatePagination } = require('../middleware/validation.middleware');
@@ -35,6 +37,82 @@ const validateBoxData = [
     .withMessage('Max weight must be greater than 0.1')
 ];
 
+// Optional packing and material details, accepted by /addbox and /updatebox
+const validateBoxDetails = [
+  body('name')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+
+  body(['cost', 'shippingCost'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Costs must be zero or more'),
+
+  body(['priority', 'popularity'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Priority and popularity must be zero or more'),
+
+  body('fragileSupport')
+    .optional()
+    .isBoolean()
+    .withMessage('fragileSupport must be true or false')
+    .toBoolean(true),
+
+  body('maxStackLayers')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('maxStackLayers must be a positive integer'),
+
+  body(['tareWeight', 'wallThickness'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Tare weight and wall thickness must be zero or more'),
+
+  body(['inner.length', 'inner.breadth', 'inner.height', 'outer.length', 'outer.breadth', 'outer.height'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0.1 })
+    .withMessage('Inner and outer dimensions must be greater than 0.1')
+];
+
+// Packing and material details sent for a box, in inches and kg. Only the
+// fields present in the body are returned, so updates leave the rest alone
+function readBoxDetails(body, units) {
+  const details = {};
+  const readDimensions = dimensions => {
+    const { length, breadth, height } = dimensions;
+    if (!(length > 0 && breadth > 0 && height > 0)) {
+      const error = new Error('Inner and outer dimensions need length, breadth and height');
+      error.status = 400;
+      throw error;
+    }
+    return {
+      length: lengthToInches(length, units.length),
+      breadth: lengthToInches(breadth, units.length),
+      height: lengthToInches(height, units.length)
+    };
+  };
+
+  if (body.name !== undefined) details.name = body.name || null;
+  ['cost', 'shippingCost', 'priority', 'popularity', 'maxStackLayers'].forEach(field => {
+    if (body[field] !== undefined) details[field] = body[field] === null ? null : Number(body[field]);
+  });
+  if (body.fragileSupport !== undefined) details.fragileSupport = body.fragileSupport;
+  if (body.tareWeight !== undefined) details.tareWeight = weightToKg(body.tareWeight, units.weight) || 0;
+  if (body.wallThickness !== undefined) details.wallThickness = lengthToInches(body.wallThickness, units.length) || 0;
+  if (body.inner !== undefined) details.inner = body.inner ? readDimensions(body.inner) : null;
+  if (body.outer !== undefined) details.outer = body.outer ? readDimensions(body.outer) : null;
+
+  if (details.inner && details.outer &&
+    ['length', 'breadth', 'height'].some(side => details.inner[side] > details.outer[side])) {
+    const error = new Error('Inner dimensions cannot be larger than outer dimensions');
+    error.status = 400;
+    throw error;
+  }
+  return details;
+}
+
 const validateUpdateQuantity = [
   body('box_name')
     .isLength({ min: 1, max: 100 })
@@ -50,6 +128,7 @@ router.post("/addbox",
   authenticateToken,
   sanitizeInput,
   // validateBoxData,
+  validateBoxDetails,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -61,7 +140,15 @@ router.post("/addbox",
         });
       }
 
-      const { box_name, length, breadth, height, quantity, max_weight } = req.body;
+      const { box_name, quantity } = req.body;
+      const units = getRequestUnits(req);
+
+      // Boxes are stored in inches and kg whatever units they were sent in
+      const length = lengthToInches(parseFloat(req.body.length), units.length);
+      const breadth = lengthToInches(parseFloat(req.body.breadth), units.length);
+      const height = lengthToInches(parseFloat(req.body.height), units.length);
+      const max_weight = weightToKg(parseFloat(req.body.max_weight), units.weight);
+      const details = readBoxDetails(req.body, units);
 
       // Check if box already exists
       const existingBox = await BoxData.findOne({ 
@@ -81,11 +168,12 @@ router.post("/addbox",
       // Create new box entry
       const newBox = new BoxData({
         box_name: box_name,
-        length: parseFloat(length),
-        breadth: parseFloat(breadth),
-        height: parseFloat(height),
+        length,
+        breadth,
+        height,
         quantity: parseInt(quantity),
-        max_weight: parseFloat(max_weight),
+        max_weight,
+        ...details,
         createdBy: req.user._id,
         createdAt: new Date(),
         lastUpdated: new Date(),
@@ -98,12 +186,15 @@ router.post("/addbox",
         success: true,
         message: "Box added successfully!",
         data: {
-          ...newBox.toObject(),
-          volume: Math.round(volume * 100) / 100
+          ...presentBox(newBox, units),
+          volume: Math.round(volumeFromCubicInches(volume, units.length) * 100) / 100
         }
       });
 
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       console.error("Error adding box:", error);
       
       if (error.code === 11000) {
@@ -198,6 +289,7 @@ router.get("/getboxes",
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
+      const units = getRequestUnits(req);
       
       const { 
         search, 
@@ -219,8 +311,8 @@ router.get("/getboxes",
       
       if (minWeight || maxWeight) {
         filter.max_weight = {};
-        if (minWeight) filter.max_weight.$gte = parseFloat(minWeight);
-        if (maxWeight) filter.max_weight.$lte = parseFloat(maxWeight);
+        if (minWeight) filter.max_weight.$gte = weightToKg(parseFloat(minWeight), units.weight);
+        if (maxWeight) filter.max_weight.$lte = weightToKg(parseFloat(maxWeight), units.weight);
       }
 
       // Build sort
@@ -229,17 +321,22 @@ router.get("/getboxes",
 
       let query = BoxData.find(filter).sort(sort).skip(skip).limit(limit);
       
-      const [boxes, total] = await Promise.all([
+      const [boxes, total, reserved] = await Promise.all([
         query.lean(),
-        BoxData.countDocuments(filter)
+        BoxData.countDocuments(filter),
+        getReservedQuantities(req.user._id)
       ]);
 
-      // Calculate volume for each box and apply volume filter if needed
-      let processedBoxes = boxes.map(box => ({
-        ...box,
-        volume: Math.round(box.length * box.breadth * box.height * 100) / 100,
-        capacity_efficiency: Math.round((box.max_weight / (box.length * box.breadth * box.height)) * 100) / 100
-      }));
+      // Calculate volume for each box (in the requested units) and apply volume filter if needed.
+      // Stock held by reservations is reported as reservedQuantity, the rest as availableQuantity
+      let processedBoxes = boxes.map(box => {
+        const presented = presentBox(withAvailability(box, reserved.boxes), units);
+        return {
+          ...presented,
+          volume: Math.round(presented.length * presented.breadth * presented.height * 100) / 100,
+          capacity_efficiency: Math.round((presented.max_weight / (presented.length * presented.breadth * presented.height)) * 100) / 100
+        };
+      });
 
       // Apply volume filter if specified
       if (minVolume || maxVolume) {
@@ -255,6 +352,7 @@ router.get("/getboxes",
         message: "Boxes retrieved successfully",
         data: {
           boxes: processedBoxes,
+          units,
           pagination: {
             currentPage: page,
             totalPages: Math.ceil(total / limit),
@@ -272,6 +370,9 @@ router.get("/getboxes",
       });
 
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       console.error("Error fetching boxes:", error);
       res.status(500).json({ 
         success: false,
@@ -286,6 +387,7 @@ router.get("/getbox/:id",
   authenticateToken,
   async (req, res) => {
     try {
+      const units = getRequestUnits(req);
       const box = await BoxData.findById(req.params.id).lean();
       
       if (!box) {
@@ -295,10 +397,12 @@ router.get("/getbox/:id",
         });
       }
 
+      const reserved = await getReservedQuantities(req.user._id);
+      const presented = presentBox(withAvailability(box, reserved.boxes), units);
       const boxWithDetails = {
-        ...box,
-        volume: Math.round(box.length * box.breadth * box.height * 100) / 100,
-        capacity_efficiency: Math.round((box.max_weight / (box.length * box.breadth * box.height)) * 100) / 100
+        ...presented,
+        volume: Math.round(presented.length * presented.breadth * presented.height * 100) / 100,
+        capacity_efficiency: Math.round((presented.max_weight / (presented.length * presented.breadth * presented.height)) * 100) / 100
       };
 
       res.status(200).json({
@@ -307,6 +411,9 @@ router.get("/getbox/:id",
       });
 
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       console.error("Error fetching box:", error);
       res.status(500).json({
         success: false,
@@ -346,9 +453,19 @@ router.delete("/deletebox/:id",
 );
 
 // Update box details endpoint
-router.put("/updatebox", authenticateToken, sanitizeInput, async (req, res) => {
+router.put("/updatebox", authenticateToken, sanitizeInput, validateBoxDetails, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id, box_name, length, breadth, height, quantity, max_weight } = req.body;
+    const units = getRequestUnits(req);
 
     if (!id) {
       return res.status(400).json({
@@ -358,13 +475,13 @@ router.put("/updatebox", authenticateToken, sanitizeInput, async (req, res) => {
     }
 
     // Build update object with only provided fields
-    const update = {};
+    const update = readBoxDetails(req.body, units);
     if (box_name !== undefined) update.box_name = box_name;
-    if (length !== undefined) update.length = length;
-    if (breadth !== undefined) update.breadth = breadth;
-    if (height !== undefined) update.height = height;
+    if (length !== undefined) update.length = lengthToInches(length, units.length);
+    if (breadth !== undefined) update.breadth = lengthToInches(breadth, units.length);
+    if (height !== undefined) update.height = lengthToInches(height, units.length);
     if (quantity !== undefined) update.quantity = quantity;
-    if (max_weight !== undefined) update.max_weight = max_weight;
+    if (max_weight !== undefined) update.max_weight = weightToKg(max_weight, units.weight);
     update.lastUpdated = new Date();
     update.lastUpdatedBy = req.user._id;
 
@@ -384,9 +501,12 @@ router.put("/updatebox", authenticateToken, sanitizeInput, async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Box updated successfully",
-      data: box
+      data: presentBox(box, units)
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error("Error updating box:", error);
     res.status(500).json({
       success: false,
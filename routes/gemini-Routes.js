@@ -7,6 +7,7 @@ const router = express.Router();
 
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { sanitizeInput } = require('../middleware/validation.middleware');
+const { getRequestUnits, lengthToInches, weightToKg, lengthFromInches, weightFromKg } = require('../utils/units');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -116,6 +117,16 @@ router.post('/predict-dimensions',
         });
       }
 
+      // The model answers in cm and grams; the prediction is also returned in
+      // the `units` preference, or in `unit` and kg without one
+      let units;
+      try {
+        units = req.body.units ? getRequestUnits(req) : { length: unit, weight: 'kg' };
+      } catch (error) {
+        await cleanupFile(filePath);
+        return res.status(400).json({ success: false, message: error.message });
+      }
+
       // Prepare the image for Gemini
       const imagePart = await fileToGenerativePart(filePath, req.file.mimetype);
 
@@ -196,6 +207,21 @@ Be as accurate as possible with measurements. If uncertain, indicate lower confi
       // Clean up uploaded file
       await cleanupFile(filePath);
 
+      const toLength = value => lengthFromInches(lengthToInches(value, 'cm'), units.length);
+      const predictedWeight = parsedResult.weight && parsedResult.weight.value;
+      const converted = {
+        dimensions: {
+          length: toLength(parsedResult.dimensions.length),
+          breadth: toLength(parsedResult.dimensions.breadth),
+          height: toLength(parsedResult.dimensions.height),
+          unit: units.length
+        },
+        weight: {
+          value: weightFromKg(weightToKg(predictedWeight, 'gram'), units.weight),
+          unit: units.weight
+        }
+      };
+
       // Log successful prediction for analytics
       console.log(`Dimension prediction by user ${req.user._id}: ${parsedResult.product_name}`);
 
@@ -204,6 +230,7 @@ Be as accurate as possible with measurements. If uncertain, indicate lower confi
         message: 'Dimension prediction completed successfully',
         data: {
           prediction: parsedResult,
+          converted,
           processing_info: {
             image_processed: true,
             file_size: req.file.size,
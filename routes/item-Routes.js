@@ -7,6 +7,17 @@ const DailyPacked = require("../models/DailyPackedSchema");
 
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { sanitizeInput, validatePagination } = require('../middleware/validation.middleware');
+const {
+  getRequestUnits,
+  resolveUnits,
+  lengthToInches,
+  weightToKg,
+  convertDimensions,
+  itemToCanonical,
+  presentItem,
+  CANONICAL_UNITS
+} = require('../utils/units');
+const { getReservedQuantities, withAvailability } = require('../utils/reservations');
 
 // Validation for item data
 const validateItemData = [
@@ -15,6 +26,12 @@ const validateItemData = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Product name must be between 1-100 characters'),
     
+  body('sku')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage('SKU must be at most 64 characters'),
+    
   body('quantity')
     .optional()
     .isInt({ min: 0 })
@@ -43,9 +60,52 @@ const validateItemData = [
   body('dimensions.height')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Height must be a non-negative number')
+    .withMessage('Height must be a non-negative number'),
+
+  body(['isFragile', 'canRotate', 'thisSideUp'])
+    .optional()
+    .isBoolean()
+    .withMessage('isFragile, canRotate and thisSideUp must be true or false')
+    .toBoolean(true),
+
+  body('allowedOrientations')
+    .optional({ nullable: true })
+    .custom(value => Array.isArray(value) && value.length > 0 &&
+      value.every(index => Number.isInteger(index) && index >= 0 && index <= 5))
+    .withMessage('allowedOrientations must be a non-empty array of orientation indices 0-5'),
+
+  body(['maxStackHeight', 'maxStackWeight'])
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Max stack height and weight must be positive numbers'),
+
+  body('priority')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Priority must be a non-negative number'),
+
+  body(['value', 'damageCost'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Value and damage cost must be non-negative numbers')
 ];
 
+// Packing attributes sent for an item, with stack limits in inches and kg.
+// Only the fields present in the body are returned
+function readPackingAttributes(body, inputUnits) {
+  const attributes = {};
+  ['isFragile', 'canRotate', 'thisSideUp'].forEach(field => {
+    if (body[field] !== undefined) attributes[field] = body[field];
+  });
+  if (body.allowedOrientations !== undefined) attributes.allowedOrientations = body.allowedOrientations;
+  ['priority', 'value', 'damageCost'].forEach(field => {
+    if (body[field] !== undefined) attributes[field] = body[field] === null ? null : Number(body[field]);
+  });
+  if (body.maxStackHeight !== undefined) attributes.maxStackHeight = lengthToInches(body.maxStackHeight, inputUnits.length);
+  if (body.maxStackWeight !== undefined) attributes.maxStackWeight = weightToKg(body.maxStackWeight, inputUnits.weight);
+  return attributes;
+}
+
 // Add or Update Item
 router.post("/senditemdata", 
   authenticateToken,
@@ -62,7 +122,18 @@ router.post("/senditemdata",
         });
       }
 
-      const { productName, quantity, weight, price, brand, dimensions, category, shape, productDetails, unitOfMeasurement, unitOfWeight } = req.body;
+      const { productName, sku, quantity, weight, price, brand, dimensions, category, shape, productDetails, unitOfMeasurement, unitOfWeight } = req.body;
+
+      // Items are stored in inches and kg; unitOfMeasurement/unitOfWeight (or the
+      // units preference) say what the incoming values are in
+      const units = getRequestUnits(req);
+      const inputUnits = resolveUnits({
+        length: unitOfMeasurement || units.length,
+        weight: unitOfWeight || units.weight
+      });
+      const canonicalDimensions = convertDimensions(dimensions, lengthToInches, inputUnits.length);
+      const canonicalWeight = weightToKg(weight, inputUnits.weight);
+      const packingAttributes = readPackingAttributes(req.body, inputUnits);
 
       // Find the item by productName
       let item = await ItemData.findOne({ productName: productName.trim() });
@@ -74,17 +145,24 @@ router.post("/senditemdata",
           quantityDiff = Math.abs(Number(quantity) - Number(item.quantity));
           item.quantity = quantity;
         }
+        // Bring older items saved in other units to canonical units before merging
+        const stored = itemToCanonical(item);
+        item.weight = stored.weight;
+        item.dimensions = stored.dimensions;
+        item.unitOfMeasurement = CANONICAL_UNITS.length;
+        item.unitOfWeight = CANONICAL_UNITS.weight;
+
         // Update only provided fields
-        if (weight !== undefined) item.weight = weight;
+        if (weight !== undefined) item.weight = canonicalWeight;
         if (price !== undefined) item.price = price;
         if (brand !== undefined) item.brand = brand;
         if (category !== undefined) item.category = category;
         if (shape !== undefined) item.shape = shape;
         if (productDetails !== undefined) item.productDetails = productDetails;
-        if (unitOfMeasurement !== undefined) item.unitOfMeasurement = unitOfMeasurement;
-        if (unitOfWeight !== undefined) item.unitOfWeight = unitOfWeight;
+        if (sku !== undefined) item.sku = sku || null;
+        item.set(packingAttributes);
         if (dimensions && typeof dimensions === 'object') {
-          item.dimensions = { ...item.dimensions, ...dimensions };
+          item.dimensions = { ...stored.dimensions, ...canonicalDimensions };
         }
 
         item.lastUpdatedBy = req.user._id;
@@ -116,22 +194,24 @@ router.post("/senditemdata",
         return res.status(200).json({ 
           success: true,
           message: "Item updated successfully!", 
-          data: item 
+          data: presentItem(item, units) 
         });
       } else {
         // Create a new item
         const newItem = new ItemData({ 
           productName: productName.trim(), 
           quantity: quantity !== undefined ? quantity : 0,
-          weight,
+          weight: canonicalWeight,
           price,
           brand,
-          dimensions,
+          dimensions: canonicalDimensions,
           category,
           shape,
           productDetails,
-          unitOfMeasurement,
-          unitOfWeight,
+          sku: sku || null,
+          ...packingAttributes,
+          unitOfMeasurement: CANONICAL_UNITS.length,
+          unitOfWeight: CANONICAL_UNITS.weight,
           createdBy: req.user._id,
           lastUpdatedBy: req.user._id,
           createdAt: new Date(),
@@ -160,10 +240,13 @@ router.post("/senditemdata",
         return res.status(201).json({ 
           success: true,
           message: "Item added successfully!", 
-          data: newItem 
+          data: presentItem(newItem, units) 
         });
       }
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       console.error("Error in senditemdata:", error);
 
       if (error.code === 11000) {
@@ -201,6 +284,7 @@ router.get("/getitemdata",
       const skip = (page - 1) * limit;
       
       const { category, search, sortBy = 'productName', sortOrder = 'asc', includeDeleted } = req.query;
+      const units = getRequestUnits(req);
 
       // Build filter
       const filter = { createdBy: req.user._id };
@@ -209,7 +293,8 @@ router.get("/getitemdata",
         filter.$or = [
           { productName: { $regex: search, $options: 'i' } },
           { brand: { $regex: search, $options: 'i' } },
-          { productDetails: { $regex: search, $options: 'i' } }
+          { productDetails: { $regex: search, $options: 'i' } },
+          { sku: { $regex: search, $options: 'i' } }
         ];
       }
       // Only exclude deleted items if not explicitly requested
@@ -221,13 +306,14 @@ router.get("/getitemdata",
       const sort = {};
       sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-      const [items, total] = await Promise.all([
+      const [items, total, reserved] = await Promise.all([
         ItemData.find(filter)
           .sort(sort)
           .skip(skip)
           .limit(limit)
           .lean(),
-        ItemData.countDocuments(filter)
+        ItemData.countDocuments(filter),
+        getReservedQuantities(req.user._id)
       ]);
 
       const dailyData = await getDailyTransaction(req.user._id);
@@ -268,7 +354,9 @@ router.get("/getitemdata",
         success: true,
         message: "Items retrieved successfully",
         data: {
-          items,
+          // Stock held by reservations is reported as reservedQuantity, the rest as availableQuantity
+          items: items.map(item => presentItem(withAvailability(item, reserved.items), units)),
+          units,
           pagination: {
             currentPage: page,
             totalPages: Math.ceil(total / limit),
@@ -283,6 +371,9 @@ router.get("/getitemdata",
         
       });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       console.error("Error fetching items:", error);
       return res.status(500).json({ 
         success: false,
@@ -295,6 +386,7 @@ router.get("/getitemdata",
 // Get item by ID
 router.get("/getitem/:id", authenticateToken, async (req, res) => {
   try {
+    const units = getRequestUnits(req);
     const item = await ItemData.findById(req.params.id);
     
     if (!item) {
@@ -306,9 +398,12 @@ router.get("/getitem/:id", authenticateToken, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: item
+      data: presentItem(item, units)
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error("Error fetching item:", error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,694 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const path = require("path");
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Order = require("../models/OrderSchema");
+const ItemData = require("../models/ItemSchema");
+const Reservation = require("../models/ReservationSchema");
+const { executePackingPlan, isTransactionUnsupported } = require("../utils/packingPlans");
+const { reservationExpiry } = require("../utils/reservations");
+const { ORDER_TRANSITIONS, transitionOrder, planOrder, summarizeCartons } = require("../utils/orders");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { getRequestUnits, presentPackingResult, lengthFromInches } = require("../utils/units");
+
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { sanitizeInput, validatePagination } = require('../middleware/validation.middleware');
+
+// Validation for new orders
+const validateOrder = [
+  body('orderNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Order number must be between 1-50 characters'),
+
+  body('customer.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Customer name is required'),
+
+  body('customer.email')
+    .optional()
+    .isEmail()
+    .withMessage('Customer email must be valid'),
+
+  body('destination.line1')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Destination address line1 is required'),
+
+  body('destination.city')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Destination city is required'),
+
+  body('destination.pincode')
+    .matches(/^\d{6}$/)
+    .withMessage('Destination pincode must be a 6-digit pincode'),
+
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('Order needs at least one line'),
+
+  body('lines.*.itemId')
+    .isMongoId()
+    .withMessage('Each line needs a valid itemId'),
+
+  body('lines.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Each line needs a positive whole quantity')
+];
+
+// Load one of the user's orders for a route with :id, answering 404 itself
+async function findOrder(req, res) {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findOne({ _id: req.params.id, createdBy: req.user._id })
+    : null;
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+  }
+  return order;
+}
+
+function wrongStatus(res, order, action) {
+  return res.status(409).json({
+    success: false,
+    message: `Cannot ${action} an order that is ${order.status}`
+  });
+}
+
+// Order CSVs are small, so keep them in memory instead of on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV order files are allowed'), false);
+    }
+  }
+});
+
+const IMPORT_COLUMNS = ['order_number', 'customer_name', 'address_line1', 'city', 'pincode', 'quantity'];
+
+// Check one CSV row and find its item by SKU, then by product name.
+// Returns the problems with the row, empty when it is good
+function checkImportRow(row, findItem) {
+  const problems = IMPORT_COLUMNS
+    .filter(column => !row[column])
+    .map(column => `${column} is required`);
+
+  if (row.customer_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.customer_email)) {
+    problems.push('customer_email must be valid');
+  }
+  if (row.pincode && !/^\d{6}$/.test(row.pincode)) {
+    problems.push('pincode must be a 6-digit pincode');
+  }
+  if (row.quantity && !(/^\d+$/.test(row.quantity) && parseInt(row.quantity, 10) > 0)) {
+    problems.push('quantity must be a positive whole number');
+  }
+  if (!row.sku && !row.product_name) {
+    problems.push('sku or product_name is required');
+  } else if (!findItem(row)) {
+    problems.push(`No item in your inventory matches ${row.sku ? `SKU "${row.sku}"` : `product name "${row.product_name}"`}`);
+  }
+  return problems;
+}
+
+function readImportOptions(value) {
+  if (typeof value !== 'string') {
+    return value || {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const parseError = new Error('options must be a JSON object');
+    parseError.status = 400;
+    throw parseError;
+  }
+}
+
+// The import form's JSON fields are parsed before sanitizeInput, which would
+// escape their quotes. Plain values such as units=metric are left as strings
+function parseImportFields(req, res, next) {
+  try {
+    req.body.options = readImportOptions(req.body.options);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  const { units } = req.body;
+  if (typeof units === 'string' && units.trim().startsWith('{')) {
+    try {
+      req.body.units = JSON.parse(units);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: "units must be metric, imperial or { length, weight }" });
+    }
+  }
+  next();
+}
+
+function presentCartonSummary(summary, units) {
+  return summary.map(entry => ({
+    ...entry,
+    length: lengthFromInches(entry.length, units.length),
+    breadth: lengthFromInches(entry.breadth, units.length),
+    height: lengthFromInches(entry.height, units.length),
+    unit: units.length
+  }));
+}
+
+// Create an order
+router.post("/orders",
+  authenticateToken,
+  sanitizeInput,
+  validateOrder,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user._id;
+      const { orderNumber, customer, destination, lines } = req.body;
+
+      // Merge lines for the same item
+      const quantities = new Map();
+      lines.forEach(line => {
+        quantities.set(String(line.itemId), (quantities.get(String(line.itemId)) || 0) + parseInt(line.quantity, 10));
+      });
+
+      const items = await ItemData.find({
+        _id: { $in: [...quantities.keys()] },
+        createdBy: userId,
+        deletedAt: null
+      }).select('productName').lean();
+
+      const missing = [...quantities.keys()].filter(id => !items.some(item => String(item._id) === id));
+      if (missing.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Some order lines reference items that are not in your inventory",
+          missing
+        });
+      }
+
+      const order = await Order.create({
+        orderNumber: orderNumber || `ORD-${Date.now().toString(36).toUpperCase()}`,
+        customer,
+        destination,
+        lines: [...quantities].map(([itemId, quantity]) => ({
+          item: itemId,
+          productName: items.find(item => String(item._id) === itemId).productName,
+          quantity
+        })),
+        statusHistory: [{ status: 'new', by: userId }],
+        createdBy: userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Order created successfully",
+        data: order
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "An order with this order number already exists"
+        });
+      }
+      console.error("Error creating order:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create order"
+      });
+    }
+  }
+);
+
+// Import orders from a CSV upload (field "file"), one row per order line.
+// Rows sharing an order_number make one order; an order with any bad row is
+// left out. Every imported order is then planned, and the cartons the batch
+// needs per box type are summarised
+router.post("/orders/import",
+  authenticateToken,
+  (req, res, next) => upload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  }),
+  parseImportFields,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: "Upload the orders as a CSV file in the file field" });
+      }
+
+      const userId = req.user._id;
+      const units = getRequestUnits(req);
+      const { options } = req.body;
+      const ttlMinutes = req.body.ttlMinutes || undefined;
+      reservationExpiry(ttlMinutes);  // Reject a bad ttlMinutes before any order is created
+
+      const rows = parseCsv(req.file.buffer.toString('utf8'));
+      if (!rows.length) {
+        return res.status(400).json({ success: false, message: "The CSV has no order rows" });
+      }
+
+      const items = await ItemData.find({ createdBy: userId, deletedAt: null }).select('productName sku').lean();
+      const key = value => String(value || '').trim().toLowerCase();
+      const findItem = row => (row.sku && items.find(item => item.sku && key(item.sku) === key(row.sku)))
+        || (row.product_name && items.find(item => key(item.productName) === key(row.product_name)));
+
+      // Group rows into orders, keeping the problems of each row
+      const rowErrors = [];
+      const groups = new Map();
+      rows.forEach(row => {
+        const problems = checkImportRow(row, findItem);
+        if (problems.length) {
+          rowErrors.push({ line: row.line, orderNumber: row.order_number || null, errors: problems });
+        }
+        if (!row.order_number) return;
+        const group = groups.get(row.order_number) || { rows: [], valid: true };
+        group.rows.push(row);
+        group.valid = group.valid && !problems.length;
+        groups.set(row.order_number, group);
+      });
+
+      const existing = await Order.find({ createdBy: userId, orderNumber: { $in: [...groups.keys()] } })
+        .select('orderNumber').lean();
+      existing.forEach(({ orderNumber }) => {
+        const group = groups.get(orderNumber);
+        group.valid = false;
+        rowErrors.push({ line: group.rows[0].line, orderNumber, errors: ['An order with this order number already exists'] });
+      });
+
+      const batchId = `IMP-${Date.now().toString(36).toUpperCase()}`;
+      const results = [];
+      for (const [orderNumber, group] of groups) {
+        if (!group.valid) {
+          results.push({ orderNumber, status: 'rejected' });
+          continue;
+        }
+
+        // Lines for the same item are merged
+        const lines = new Map();
+        group.rows.forEach(row => {
+          const item = findItem(row);
+          const line = lines.get(String(item._id)) || { item: item._id, productName: item.productName, quantity: 0 };
+          line.quantity += parseInt(row.quantity, 10);
+          lines.set(String(item._id), line);
+        });
+
+        const [first] = group.rows;
+        let order;
+        try {
+          order = await Order.create({
+            orderNumber,
+            customer: { name: first.customer_name, email: first.customer_email || undefined, phone: first.customer_phone || undefined },
+            destination: {
+              line1: first.address_line1,
+              line2: first.address_line2 || undefined,
+              city: first.city,
+              state: first.state || undefined,
+              pincode: first.pincode,
+              country: first.country || undefined
+            },
+            lines: [...lines.values()],
+            importBatch: batchId,
+            statusHistory: [{ status: 'new', by: userId, note: `Imported in ${batchId}` }],
+            createdBy: userId
+          });
+        } catch (error) {
+          // The rest of the batch is still imported
+          if (error.code !== 11000) console.error(`Error importing order ${orderNumber}:`, error);
+          results.push({
+            orderNumber,
+            status: 'rejected',
+            error: error.code === 11000 ? "An order with this order number already exists" : "Failed to create order"
+          });
+          continue;
+        }
+
+        // Orders are planned one after another, so each one's hold counts
+        // against the stock left for the next. An order that fails to plan
+        // stays new and the rest of the batch carries on
+        try {
+          const { order: planned } = await planOrder(order, userId, { options, units, ttlMinutes });
+          results.push({ orderNumber, orderId: order._id, status: planned.status, planId: planned.plan });
+        } catch (error) {
+          if (!error.status) console.error(`Error planning imported order ${orderNumber}:`, error);
+          results.push({
+            orderNumber,
+            orderId: order._id,
+            status: order.status,
+            planError: error.status ? error.message : "Error planning order"
+          });
+        }
+      }
+
+      const imported = await Order.find({ createdBy: userId, importBatch: batchId }).select('plan status').lean();
+      let cartons = null;
+      try {
+        cartons = presentCartonSummary(await summarizeCartons(userId, imported), units);
+      } catch (error) {
+        // The summary can be fetched again from the cartons endpoint
+        console.error(`Error summarising import batch ${batchId}:`, error);
+      }
+
+      res.status(imported.length ? 201 : 422).json({
+        success: imported.length > 0,
+        message: imported.length
+          ? `Imported ${imported.length} of ${groups.size} orders`
+          : "No orders could be imported",
+        data: {
+          batchId,
+          rows: rows.length,
+          rowErrors: rowErrors.sort((a, b) => a.line - b.line),
+          orders: results,
+          cartons,
+          cartonsCsv: `/api/orders/batches/${batchId}/cartons?format=csv`
+        }
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+      }
+      console.error("Error importing orders:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import orders"
+      });
+    }
+  }
+);
+
+// List the user's orders, newest first
+router.get("/orders",
+  authenticateToken,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+      const { status, search } = req.query;
+
+      // Build filter
+      const filter = { createdBy: req.user._id };
+      if (status) filter.status = status;
+      if (search) {
+        filter.$or = [
+          { orderNumber: { $regex: search, $options: 'i' } },
+          { 'customer.name': { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const [orders, total] = await Promise.all([
+        Order.find(filter)
+          .select('-statusHistory')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Order.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: "Orders retrieved successfully",
+        data: {
+          orders,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalOrders: total,
+            ordersPerPage: limit,
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
+          },
+          filters: { status, search }
+        }
+      });
+
+    } catch (error) {
+      console.error("Error fetching orders:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching orders"
+      });
+    }
+  }
+);
+
+// Cartons needed per box type for an import batch, as JSON or, with
+// ?format=csv, as a CSV download
+router.get("/orders/batches/:batchId/cartons", authenticateToken, async (req, res) => {
+  try {
+    const units = getRequestUnits(req);
+    const orders = await Order.find({ createdBy: req.user._id, importBatch: req.params.batchId })
+      .select('plan status').lean();
+
+    if (!orders.length) {
+      return res.status(404).json({
+        success: false,
+        message: "Import batch not found"
+      });
+    }
+
+    const cartons = presentCartonSummary(await summarizeCartons(req.user._id, orders), units);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="cartons-${req.params.batchId}.csv"`);
+      const csvRows = cartons.map(entry => ({
+        box_id: entry.boxId,
+        box_name: entry.boxName,
+        length: entry.length,
+        breadth: entry.breadth,
+        height: entry.height,
+        unit: entry.unit,
+        cartons_needed: entry.cartonsNeeded,
+        orders: entry.orders,
+        in_stock: entry.inStock
+      }));
+      return res.status(200).send(toCsv(csvRows, [
+        'box_id', 'box_name', 'length', 'breadth', 'height', 'unit', 'cartons_needed', 'orders', 'in_stock'
+      ]));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batchId: req.params.batchId,
+        orders: orders.length,
+        planned: orders.filter(order => order.status === 'planned').length,
+        cartons
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("Error summarising import batch:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to summarise import batch"
+    });
+  }
+});
+
+// Get an order with its status history
+router.get("/orders/:id", authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching order"
+    });
+  }
+});
+
+// Plan an order: pack every line into unreserved boxes, save the plan and
+// hold its boxes and items for ttlMinutes. Planning again replaces the plan
+router.post("/orders/:id/plan", authenticateToken, async (req, res) => {
+  try {
+    const { options = {}, ttlMinutes } = req.body;
+    const units = getRequestUnits(req);
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const { order: planned, plan, reservation, packed } = await planOrder(order, req.user._id, { options, units, ttlMinutes });
+
+    res.status(200).json({
+      success: true,
+      message: "Order planned successfully",
+      data: {
+        order: planned,
+        planId: plan._id,
+        reservation: { id: reservation._id, expiresAt: reservation.expiresAt },
+        ...presentPackingResult(packed, units)
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error("Error planning order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error planning order"
+    });
+  }
+});
+
+// Mark an order packed: executes its plan, taking the boxes and items out of
+// stock, in the same transaction as the status change
+router.post("/orders/:id/pack", authenticateToken, async (req, res) => {
+  const userId = req.user._id;
+
+  let order;
+  try {
+    order = await findOrder(req, res);
+  } catch (error) {
+    console.error("Error packing order:", error);
+    return res.status(500).json({ success: false, message: "Error packing order" });
+  }
+  if (!order) return;
+  if (!ORDER_TRANSITIONS.packed.includes(order.status) || !order.plan) {
+    return wrongStatus(res, order, 'pack');
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let execution;
+    let packed;
+
+    await session.withTransaction(async () => {
+      execution = await executePackingPlan(order.plan, userId, session, { order: order._id });
+      packed = await transitionOrder(order, 'packed', userId, { unset: { reservation: 1 }, session });
+      if (!packed) {
+        const error = new Error("Order changed status while it was being packed");
+        error.status = 409;
+        throw error;
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Order packed successfully",
+      data: { order: packed, execution }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    if (isTransactionUnsupported(error)) {
+      console.error("Packing an order needs MongoDB transactions:", error.message);
+      return res.status(503).json({
+        success: false,
+        message: "Packing orders needs a MongoDB replica set (transactions are unavailable)"
+      });
+    }
+    console.error("Error packing order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error packing order"
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Mark a packed order shipped, with the carrier and tracking number
+router.post("/orders/:id/ship", authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const { carrier, serviceType, trackingNumber } = req.body;
+    const shipped = await transitionOrder(order, 'shipped', req.user._id, {
+      set: { shipment: { carrier, serviceType, trackingNumber, shippedAt: new Date() } }
+    });
+    if (!shipped) {
+      return wrongStatus(res, order, 'ship');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Order shipped successfully",
+      data: shipped
+    });
+  } catch (error) {
+    console.error("Error shipping order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error shipping order"
+    });
+  }
+});
+
+// Cancel an order that has not been packed, releasing any stock held for it
+router.post("/orders/:id/cancel", authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const cancelled = await transitionOrder(order, 'cancelled', req.user._id, {
+      unset: { reservation: 1 },
+      note: req.body.reason
+    });
+    if (!cancelled) {
+      return wrongStatus(res, order, 'cancel');
+    }
+
+    await Reservation.deleteMany({ createdBy: req.user._id, order: order._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: cancelled
+    });
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling order"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const PackingPlan = require("../models/PackingPlanSchema");
+const { getRequestUnits, presentPackingResult } = require("../utils/units");
+const { executePackingPlan, isTransactionUnsupported } = require("../utils/packingPlans");
+
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validatePagination } = require('../middleware/validation.middleware');
+
+// List the user's saved packing plans, newest first. Layouts are left out of
+// the list; fetch a plan by id for its cartons
+router.get("/packing-plans",
+  authenticateToken,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const { source, status, productId, startDate, endDate } = req.query;
+
+      // Build filter
+      const filter = { createdBy: req.user._id };
+      if (source) filter.source = source;
+      if (status) filter.status = status;
+      if (productId) {
+        if (!mongoose.isValidObjectId(productId)) {
+          return res.status(400).json({ success: false, message: "Invalid productId" });
+        }
+        filter.productIds = productId;
+      }
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const [plans, total] = await Promise.all([
+        PackingPlan.find(filter)
+          .select('-packingResults -input.cartons')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        PackingPlan.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: "Packing plans retrieved successfully",
+        data: {
+          plans,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalPlans: total,
+            plansPerPage: limit,
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
+          },
+          filters: {
+            source,
+            status,
+            productId,
+            dateRange: startDate || endDate ? { startDate, endDate } : null
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error("Error fetching packing plans:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching packing plans"
+      });
+    }
+  }
+);
+
+// Get a saved plan with its full per-carton layout, in the requested units
+router.get("/packing-plans/:id", authenticateToken, async (req, res) => {
+  try {
+    const units = getRequestUnits(req);
+
+    const plan = mongoose.isValidObjectId(req.params.id)
+      ? await PackingPlan.findOne({ _id: req.params.id, createdBy: req.user._id }).lean()
+      : null;
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Packing plan not found"
+      });
+    }
+
+    const { packingResults, summary } = presentPackingResult(plan, units);
+
+    res.status(200).json({
+      success: true,
+      data: { ...plan, packingResults, summary, units }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error fetching packing plan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching packing plan"
+    });
+  }
+});
+
+// Execute a plan: take every box and item it packs out of stock, record the
+// packed count for today, release the plan's own holds and mark the plan
+// executed, all in one transaction. A plan whose stock has changed since
+// planning fails with 409 and nothing is updated
+router.post("/packing-plans/:id/execute", authenticateToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Packing plan not found" });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let execution;
+
+    await session.withTransaction(async () => {
+      execution = await executePackingPlan(req.params.id, req.user._id, session);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Packing plan executed successfully",
+      data: execution
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    if (isTransactionUnsupported(error)) {
+      console.error("Packing plan execution needs MongoDB transactions:", error.message);
+      return res.status(503).json({
+        success: false,
+        message: "Executing plans needs a MongoDB replica set (transactions are unavailable)"
+      });
+    }
+    console.error("Error executing packing plan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error executing packing plan"
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const path = require("path");
+const router = express.Router();
+const RateCard = require("../models/RateCardSchema");
+const { parseRateCardCsv, normalizeRateCard } = require("../utils/rateCards");
+
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { sanitizeInput } = require('../middleware/validation.middleware');
+
+// Rate card files are small, so keep them in memory instead of on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.json'].includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and JSON rate cards are allowed'), false);
+    }
+  }
+});
+
+const CARD_DETAIL_FIELDS = ['name', 'carrier', 'serviceType', 'currency'];
+
+// Take the card details and limits out of the body before sanitizeInput, which
+// would HTML-escape them. A CSV upload sends limits as a JSON form field
+function readRateCardFields(req, res, next) {
+  const fields = {};
+  for (const field of CARD_DETAIL_FIELDS) {
+    if (req.body[field] !== undefined) {
+      fields[field] = typeof req.body[field] === 'string' ? req.body[field].replace(/\0/g, '') : req.body[field];
+      delete req.body[field];
+    }
+  }
+
+  let { limits } = req.body;
+  if (typeof limits === 'string' && limits.trim()) {
+    try {
+      limits = JSON.parse(limits);
+    } catch (error) {
+      limits = null;
+    }
+  }
+  if (limits !== undefined && limits !== '') {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return res.status(400).json({ success: false, message: "limits must be a JSON object of maxWeight, maxLength and maxLengthPlusGirth" });
+    }
+    fields.limits = limits;
+  }
+  delete req.body.limits;
+
+  req.rateCardFields = fields;
+  next();
+}
+
+// Read the rate card from an uploaded CSV/JSON file or from the JSON body.
+// Card details (name, carrier, serviceType, currency) and limits may be sent as form fields alongside a CSV
+function readRateCardInput(req) {
+  if (!req.file) {
+    return { ...req.body, ...req.rateCardFields };
+  }
+
+  const text = req.file.buffer.toString('utf8');
+  if (path.extname(req.file.originalname).toLowerCase() === '.json') {
+    try {
+      return { ...req.body, ...req.rateCardFields, ...JSON.parse(text) };
+    } catch (error) {
+      const parseError = new Error('Rate card file is not valid JSON');
+      parseError.status = 400;
+      throw parseError;
+    }
+  }
+
+  return { ...parseRateCardCsv(text), ...req.rateCardFields };
+}
+
+// Upload a rate card; uploading again under the same name replaces it
+router.post("/rate-cards",
+  authenticateToken,
+  (req, res, next) => upload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  }),
+  readRateCardFields,
+  sanitizeInput,
+  async (req, res) => {
+    try {
+      const card = normalizeRateCard(readRateCardInput(req));
+
+      const rateCard = await RateCard.findOneAndUpdate(
+        { createdBy: req.user._id, name: card.name },
+        { ...card, active: true, createdBy: req.user._id, lastUpdated: new Date() },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Rate card saved successfully",
+        data: rateCard
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error saving rate card:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save rate card"
+      });
+    }
+  }
+);
+
+// List the user's rate cards
+router.get("/rate-cards", authenticateToken, async (req, res) => {
+  try {
+    const filter = { createdBy: req.user._id };
+    if (req.query.carrier) filter.carrier = String(req.query.carrier).toLowerCase();
+
+    const rateCards = await RateCard.find(filter).sort({ carrier: 1, serviceType: 1, name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: rateCards.length,
+      data: rateCards
+    });
+  } catch (error) {
+    console.error("Error fetching rate cards:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch rate cards"
+    });
+  }
+});
+
+router.get("/rate-cards/:id", authenticateToken, async (req, res) => {
+  try {
+    const rateCard = mongoose.isValidObjectId(req.params.id)
+      ? await RateCard.findOne({ _id: req.params.id, createdBy: req.user._id }).lean()
+      : null;
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: "Rate card not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    console.error("Error fetching rate card:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch rate card"
+    });
+  }
+});
+
+router.delete("/rate-cards/:id", authenticateToken, async (req, res) => {
+  try {
+    const rateCard = mongoose.isValidObjectId(req.params.id)
+      ? await RateCard.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id })
+      : null;
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: "Rate card not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Rate card deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting rate card:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete rate card"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Reservation = require("../models/ReservationSchema");
+const PackingPlan = require("../models/PackingPlanSchema");
+const { planRequirements } = require("../utils/packingPlans");
+const { reserveStock } = require("../utils/reservations");
+
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { sanitizeInput } = require('../middleware/validation.middleware');
+
+// Box and item lines from the request body, merged by id
+function readLines(lines, idField) {
+  if (lines === undefined) return [];
+  if (!Array.isArray(lines)) {
+    const error = new Error(`${idField === 'boxId' ? 'boxes' : 'items'} must be an array`);
+    error.status = 400;
+    throw error;
+  }
+
+  const merged = new Map();
+  lines.forEach((line, index) => {
+    const id = line && line[idField];
+    const quantity = Number(line && line.quantity);
+    if (!id || !Number.isInteger(quantity) || quantity < 1) {
+      const error = new Error(`Line ${index + 1} needs ${idField} and a positive whole quantity`);
+      error.status = 400;
+      throw error;
+    }
+    merged.set(String(id), (merged.get(String(id)) || 0) + quantity);
+  });
+  return [...merged].map(([id, quantity]) => ({ [idField]: id, quantity }));
+}
+
+// Hold boxes and items for a plan ({ planId }) or explicit lines
+// ({ boxes: [{ boxId, quantity }], items: [{ itemId, quantity }] }) for
+// ttlMinutes. Reserving a plan again replaces its hold
+router.post("/reservations", authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { planId, ttlMinutes, note } = req.body;
+
+    let plan = null;
+    let boxes;
+    let items;
+
+    if (planId) {
+      plan = mongoose.isValidObjectId(planId)
+        ? await PackingPlan.findOne({ _id: planId, createdBy: userId }).lean()
+        : null;
+      if (!plan) {
+        return res.status(404).json({ success: false, message: "Packing plan not found" });
+      }
+      if (plan.status !== 'planned') {
+        return res.status(409).json({ success: false, message: `Packing plan is already ${plan.status}` });
+      }
+      // An order's plan is held by planning the order, linked to the order
+      if (plan.order) {
+        return res.status(409).json({
+          success: false,
+          message: `This plan belongs to an order; use /orders/${plan.order}/plan to hold its stock`
+        });
+      }
+      ({ boxes, items } = planRequirements(plan));
+    } else {
+      boxes = readLines(req.body.boxes, 'boxId');
+      items = readLines(req.body.items, 'itemId');
+    }
+
+    if (!boxes.length && !items.length) {
+      return res.status(400).json({ success: false, message: "Nothing to reserve: send planId, boxes or items" });
+    }
+
+    const reservation = await reserveStock(userId, { boxes, items }, {
+      plan: plan ? plan._id : undefined,
+      ttlMinutes,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Stock reserved successfully",
+      data: reservation
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error("Error reserving stock:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reserving stock"
+    });
+  }
+});
+
+// List the user's holds that have not expired
+router.get("/reservations", authenticateToken, async (req, res) => {
+  try {
+    const filter = { createdBy: req.user._id, expiresAt: { $gt: new Date() } };
+    if (req.query.planId) {
+      if (!mongoose.isValidObjectId(req.query.planId)) {
+        return res.status(400).json({ success: false, message: "planId must be a valid id" });
+      }
+      filter.plan = req.query.planId;
+    }
+
+    const reservations = await Reservation.find(filter)
+      .sort({ expiresAt: 1 })
+      .populate('boxes.box', 'box_name')
+      .populate('items.item', 'productName')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    console.error("Error fetching reservations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reservations"
+    });
+  }
+});
+
+// Release a hold before it expires
+router.delete("/reservations/:id", authenticateToken, async (req, res) => {
+  try {
+    const reservation = mongoose.isValidObjectId(req.params.id)
+      ? await Reservation.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id })
+      : null;
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reservation not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Reservation released successfully"
+    });
+  } catch (error) {
+    console.error("Error releasing reservation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error releasing reservation"
+    });
+  }
+});
+
+module.exports = router;
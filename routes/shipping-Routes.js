@@ -4,16 +4,56 @@ const { validationResult, body } = require('express-validator');
 
 // Import helpers and constants
 const {
+  INVENTORY,
   calculateDimensions,
   convertToKg,
+  convertFromInches,
+  convertFromKg,
   calculateOptimalPacking,
   validateProduct,
   validateCartons
 } = require("../utils/shippingUtils");
+const { getCarrierRule } = require("../utils/carrierRules");
+const { compareRateCards } = require("../utils/rateCards");
+const {
+  createProducts,
+  createCartons,
+  calculateOptimalPacking: calculateEnhancedPacking
+} = require("../utils/packingEngine");
+const {
+  getRequestUnits,
+  resolveUnits,
+  lengthToInches,
+  weightToKg,
+  lengthFromInches,
+  weightFromKg,
+  volumeFromCubicInches,
+  productToCanonical,
+  cartonToCanonical,
+  presentShippingResult
+} = require("../utils/units");
+const { validatePackingInput } = require("./optimalpacking-Routes");
+const BoxData = require("../models/BoxSchema");
+const RateCard = require("../models/RateCardSchema");
+const { getReservedQuantities, withAvailability } = require("../utils/reservations");
+const { cartonFromBox } = require("../utils/inventoryPacking");
 
 const { authenticateToken, optionalAuth } = require('../middleware/auth.middleware');
 const { sanitizeInput } = require('../middleware/validation.middleware');
 
+// The user's boxes with stock that no plan or order has reserved
+async function findAvailableBoxes(userId) {
+  const reserved = await getReservedQuantities(userId);
+  return (await BoxData.find({ createdBy: userId, quantity: { $gt: 0 } }).lean())
+    .map(box => withAvailability(box, reserved.boxes))
+    .filter(box => box.availableQuantity > 0);
+}
+
+// Packer cartons for the user's BoxData records, limited to unreserved stock
+function cartonsFromBoxes(boxes) {
+  return boxes.map(box => cartonFromBox(box, box.availableQuantity));
+}
+
 // Validation middleware for shipping calculation
 const validateShippingInput = [
   body('shape')
@@ -75,6 +115,11 @@ router.post("/calculate-shipping",
         preferences = {}
       } = req.body;
 
+      // `unit` and `weightUnit` describe the product; `units` picks the units of
+      // custom cartons and of the response (inches and kg when left out)
+      const units = getRequestUnits(req);
+      const cartonsInput = customCartons && customCartons.map(carton => cartonToCanonical(carton, units));
+
       // Calculate product dimensions based on shape
       const productDims = calculateDimensions(shape, dimensions, unit);
       
@@ -90,16 +135,46 @@ router.post("/calculate-shipping",
       }
 
       // Validate custom cartons if provided
-      if (customCartons) {
-        validateCartons(customCartons);
+      if (cartonsInput) {
+        validateCartons(cartonsInput);
       }
 
-      // Perform optimal packing calculation
+      // Carrier rule set for billable weight (throws on an unknown carrier or service)
+      const { carrier, serviceType } = preferences;
+      getCarrierRule(carrier, serviceType);
+
+      // Signed-in users may pack into their own box inventory instead of the default cartons
+      let inventory = null;
+      if (!cartonsInput && preferences.useBoxInventory === true) {
+        if (!req.user) {
+          return res.status(401).json({
+            success: false,
+            message: "Sign in to pack with your box inventory"
+          });
+        }
+        const boxes = await findAvailableBoxes(req.user._id);
+        if (!boxes.length) {
+          return res.status(404).json({
+            success: false,
+            message: "No available boxes found"
+          });
+        }
+        inventory = cartonsFromBoxes(boxes);
+      }
+
+      // Perform optimal packing calculation on the 3D packer
       const packingResult = calculateOptimalPacking(
         productDims, 
         weightInKg, 
         quantity, 
-        customCartons
+        cartonsInput,
+        {
+          shape,
+          inventory,
+          algorithm: preferences.algorithm,
+          carrier,
+          serviceType
+        }
       );
 
       // Enhanced response with additional metadata
@@ -115,21 +190,22 @@ router.post("/calculate-shipping",
               originalDimensions: dimensions,
               unit,
               calculatedDimensions: {
-                length: Math.round(productDims.length * 100) / 100,
-                breadth: Math.round(productDims.breadth * 100) / 100,
-                height: Math.round(productDims.height * 100) / 100,
-                volume: Math.round(productDims.volume * 100) / 100
+                length: Math.round(lengthFromInches(productDims.length, units.length) * 100) / 100,
+                breadth: Math.round(lengthFromInches(productDims.breadth, units.length) * 100) / 100,
+                height: Math.round(lengthFromInches(productDims.height, units.length) * 100) / 100,
+                volume: Math.round(volumeFromCubicInches(productDims.volume, units.length) * 100) / 100,
+                unit: units.length
               },
               weight: {
                 original: weight,
                 unit: weightUnit,
-                converted: Math.round(weightInKg * 100) / 100,
-                convertedUnit: 'kg'
+                converted: Math.round(weightFromKg(weightInKg, units.weight) * 100) / 100,
+                convertedUnit: units.weight
               },
               quantity
             }
           },
-          results: packingResult
+          results: presentShippingResult(packingResult, units)
         },
         timestamp: new Date().toISOString()
       };
@@ -145,7 +221,7 @@ router.post("/calculate-shipping",
       console.error("Error calculating shipping:", error);
       
       // Return appropriate error based on error type
-      if (error.message.includes('Unsupported') || error.message.includes('requires')) {
+      if (error.status === 400 || error.message.includes('Unsupported') || error.message.includes('requires')) {
         return res.status(400).json({ 
           success: false,
           message: error.message 
@@ -161,35 +237,260 @@ router.post("/calculate-shipping",
   }
 );
 
-// Get available carton sizes endpoint
-router.get("/carton-sizes", (req, res) => {
+// Validation middleware for carrier quotes
+const validateQuoteInput = [
+  body('originPincode')
+    .matches(/^\d{6}$/)
+    .withMessage('originPincode must be a 6-digit pincode'),
+
+  body('destinationPincode')
+    .matches(/^\d{6}$/)
+    .withMessage('destinationPincode must be a 6-digit pincode'),
+
+  body('carriers')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('carriers must be a non-empty array')
+];
+
+// Items to pack are brought to inches and kg; without cartons they are packed
+// into the user's box inventory (already stored in inches and kg)
+const loadBoxInventory = async (req, res, next) => {
+  const { product, products, cartons } = req.body;
+  if (!(product || products) || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
   try {
-    const { INVENTORY } = require("../utils/shippingUtils");
-    
+    const units = getRequestUnits(req);
+    if (product) req.body.product = productToCanonical(product, units);
+    if (Array.isArray(products)) req.body.products = products.map(item => productToCanonical(item, units));
+    if (Array.isArray(cartons)) req.body.cartons = cartons.map(carton => cartonToCanonical(carton, units));
+
+    if (!cartons) {
+      const boxes = await findAvailableBoxes(req.user._id);
+      if (!boxes.length) {
+        return res.status(404).json({
+          success: false,
+          message: "No available boxes found"
+        });
+      }
+      req.body.cartons = cartonsFromBoxes(boxes);
+    }
+    validatePackingInput(req, res, next);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Cartons to ship, in inches and kg, from /optimal-packing2, /enhanced-packing
+// or /calculate-shipping results given in `units`. Billable weights are always kg
+function cartonsFromPackingResults(results, units) {
+  return results.map((result, index) => {
+    // Packed cartons ship at their outer size and gross weight when they have them
+    const size = result.cartonDetails
+      ? result.cartonDetails.outerDimensions || result.cartonDetails
+      : result.outerDimensions || result.cartonSize || result;
+    const actualWeight = result.weight && typeof result.weight === 'object'
+      ? weightToKg(result.weight.gross !== undefined ? result.weight.gross : result.weight.total, units.weight)
+      : result.billableWeight
+        ? result.billableWeight.actualWeight
+        : weightToKg(Number(result.actualWeight || result.weight || 0), units.weight);
+
+    return {
+      id: result.cartonId || size.id || `carton_${index}`,
+      length: lengthToInches(Number(size.length), units.length),
+      breadth: lengthToInches(Number(size.breadth), units.length),
+      height: lengthToInches(Number(size.height), units.length),
+      actualWeight: Number(actualWeight)
+    };
+  });
+}
+
+// Rank carrier services from the user's rate cards for a packing result,
+// or for items packed on the fly
+router.post("/shipping/quote",
+  authenticateToken,
+  validateQuoteInput,
+  loadBoxInventory,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { originPincode, destinationPincode, carriers, product, products, cartons, options = {} } = req.body;
+      const units = getRequestUnits(req);
+
+      // A packing result says which units it is in; bare packingResults use the request's units
+      const packingResult = req.body.packingResult || {};
+      const source = packingResult.packingResults ? packingResult : packingResult.results || {};
+      let resultUnits = source.units ? resolveUnits(source.units) : units;
+
+      let packing = null;
+      let results = req.body.packingResults || source.packingResults;
+
+      if (product || products) {
+        // Each service is quoted below, so the packer itself runs without a rate card
+        const { rateCard, ...packingOptions } = options;
+        packing = calculateEnhancedPacking(createProducts(products || [product]), createCartons(cartons), packingOptions);
+        results = packing.packingResults;
+        resultUnits = resolveUnits(null);
+      }
+
+      if (!Array.isArray(results) || results.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide a packing result with cartons, or products to pack"
+        });
+      }
+
+      const cartonsToShip = cartonsFromPackingResults(results, resultUnits);
+      const invalidCarton = cartonsToShip.findIndex(carton => !(carton.length > 0 && carton.breadth > 0 && carton.height > 0 && carton.actualWeight >= 0));
+      if (invalidCarton >= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Carton ${invalidCarton + 1} needs positive length, breadth, height and a weight`
+        });
+      }
+
+      const rateCards = await RateCard.find({
+        createdBy: req.user._id,
+        active: true,
+        ...(carriers && { carrier: { $in: carriers.map(carrier => String(carrier).toLowerCase()) } })
+      }).lean();
+
+      if (!rateCards.length) {
+        return res.status(404).json({
+          success: false,
+          message: "No rate cards found. Upload one at /api/rate-cards"
+        });
+      }
+
+      const quotes = compareRateCards(rateCards, cartonsToShip, { originPincode, destinationPincode });
+      const cheapest = quotes.find(quote => quote.available) || null;
+
+      res.status(200).json({
+        success: true,
+        message: cheapest
+          ? `Cheapest service: ${cheapest.carrierName} ${cheapest.serviceType} (${cheapest.rateCard})`
+          : "No service can carry every carton on this route",
+        data: {
+          route: { originPincode, destinationPincode },
+          cartons: cartonsToShip.map(carton => ({
+            ...carton,
+            length: lengthFromInches(carton.length, units.length),
+            breadth: lengthFromInches(carton.breadth, units.length),
+            height: lengthFromInches(carton.height, units.length),
+            actualWeight: weightFromKg(carton.actualWeight, units.weight)
+          })),
+          units,
+          quotes,
+          cheapest,
+          ...(packing && { packing: { summary: packing.summary, unpackedProducts: packing.unpackedProducts } })
+        }
+      });
+
+    } catch (error) {
+      if (error.status === 400 || error.status === 422) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error("Error quoting shipment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while quoting shipment"
+      });
+    }
+  }
+);
+
+// Units /carton-sizes can report in
+const CARTON_DIMENSION_UNITS = ['in', 'cm'];
+const CARTON_WEIGHT_UNITS = ['kg', 'lb'];
+
+// Get available carton sizes endpoint: the signed-in user's box inventory,
+// or the default carton catalogue for anonymous callers
+router.get("/carton-sizes", optionalAuth, async (req, res) => {
+  try {
+    // A `units` preference stands in for dimensionUnit/weightUnit
+    const units = req.query.units ? getRequestUnits(req) : {};
+    const dimensionUnit = String(req.query.dimensionUnit || units.length || 'in').toLowerCase();
+    const weightUnit = String(req.query.weightUnit || units.weight || 'kg').toLowerCase();
+
+    if (!CARTON_DIMENSION_UNITS.includes(dimensionUnit) || !CARTON_WEIGHT_UNITS.includes(weightUnit)) {
+      return res.status(400).json({
+        success: false,
+        message: `dimensionUnit must be one of ${CARTON_DIMENSION_UNITS.join(', ')} and weightUnit one of ${CARTON_WEIGHT_UNITS.join(', ')}`
+      });
+    }
+
+    let source = 'default';
+    let cartons = INVENTORY.cartons.map(carton => ({
+      id: carton.id,
+      length: carton.length,
+      breadth: carton.breadth,
+      height: carton.height,
+      weightLimit: carton.weightLimit,
+      availableQuantity: carton.availableQuantity,
+      cost: carton.cost
+    }));
+
+    if (req.user) {
+      const boxes = await BoxData.find({ createdBy: req.user._id }).sort({ box_name: 1 }).lean();
+      source = 'inventory';
+      // Boxes without a cost are priced the way the packer prices them
+      cartons = boxes.map(box => ({
+        id: box._id,
+        name: box.box_name,
+        length: box.length,
+        breadth: box.breadth,
+        height: box.height,
+        weightLimit: box.max_weight,
+        availableQuantity: box.quantity,
+        cost: box.cost || Math.round(box.length * box.breadth * box.height * 0.001 * 100) / 100
+      }));
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const toDimension = value => convertFromInches(value, dimensionUnit);
+
     res.status(200).json({
       success: true,
       message: "Available carton sizes retrieved successfully",
       data: {
-        cartons: INVENTORY.cartons.map(carton => ({
+        source,
+        cartons: cartons.map(carton => ({
           id: carton.id,
+          ...(carton.name && { name: carton.name }),
           dimensions: {
-            length: carton.length,
-            breadth: carton.breadth,
-            height: carton.height,
-            volume: carton.length * carton.breadth * carton.height
+            length: round(toDimension(carton.length)),
+            breadth: round(toDimension(carton.breadth)),
+            height: round(toDimension(carton.height)),
+            volume: round(toDimension(carton.length) * toDimension(carton.breadth) * toDimension(carton.height))
           },
-          weightLimit: carton.weightLimit,
+          weightLimit: round(convertFromKg(carton.weightLimit, weightUnit)),
           availableQuantity: carton.availableQuantity,
           cost: carton.cost
         })),
         units: {
-          dimension: 'inches',
-          weight: 'kg',
-          cost: 'USD'
+          dimension: dimensionUnit === 'in' ? 'inches' : 'cm',
+          weight: weightUnit,
+          cost: INVENTORY.currency || 'USD'
         }
       }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error("Error fetching carton sizes:", error);
     res.status(500).json({
       success: false,
@@ -72,6 +72,7 @@ const corsOptions = {
   origin: process.env.CLIENT_URL || "*",
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
   allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: ["X-Packing-Plan-Id"],
   credentials: true,
 };
 app.use(cors(corsOptions));
@@ -104,6 +105,10 @@ const optimalPackingRouter = require("./routes/optimalpacking-Routes");
 const packingRoutes = require("./routes/packing-route");
 const shippingRoutes = require("./routes/shipping-Routes");
 const geminiRoutes = require("./routes/gemini-Routes");
+const rateCardRoutes = require("./routes/ratecard-Routes");
+const packingPlanRoutes = require("./routes/packingplan-Routes");
+const reservationRoutes = require("./routes/reservation-Routes");
+const orderRoutes = require("./routes/order-Routes");
 
 // Mount Routes with error handling
 const routes = [
@@ -116,6 +121,10 @@ const routes = [
   { path: "/api", router: optimalPackingRouter },
   { path: "/api", router: packingRoutes },
   { path: "/api", router: shippingRoutes },
+  { path: "/api", router: rateCardRoutes },
+  { path: "/api", router: packingPlanRoutes },
+  { path: "/api", router: reservationRoutes },
+  { path: "/api", router: orderRoutes },
   { path: "/api/ai", router: geminiRoutes },
 ];
 
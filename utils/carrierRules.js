@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Carrier rule sets live in config so divisors can change without a release.
+// CARRIER_RULES_PATH points at an alternative file with the same layout
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'carrierRules.json');
+const CUBIC_INCH_TO_CUBIC_CM = 16.387064;
+const INCH_TO_CM = 2.54;
+const SERVICE_TYPES = ['domestic', 'international'];
+
+let cachedRules = null;
+
+function loadCarrierRules(rulesPath = process.env.CARRIER_RULES_PATH || DEFAULT_RULES_PATH) {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    if (!rules.carriers || typeof rules.carriers !== 'object') {
+        throw new Error(`Carrier rules in ${rulesPath} must define a carriers object`);
+    }
+    for (const [carrier, services] of Object.entries(rules.carriers)) {
+        for (const serviceType of SERVICE_TYPES) {
+            if (services[serviceType] && !(services[serviceType].divisor > 0)) {
+                throw new Error(`Carrier ${carrier} ${serviceType} divisor must be a positive number`);
+            }
+        }
+    }
+
+    cachedRules = rules;
+    return rules;
+}
+
+function getCarrierRules() {
+    return cachedRules || loadCarrierRules();
+}
+
+// Resolve the rule for a carrier and service type, falling back to the configured defaults
+function getCarrierRule(carrier, serviceType) {
+    const rules = getCarrierRules();
+    const carrierKey = String(carrier || rules.defaultCarrier).toLowerCase();
+    const service = String(serviceType || rules.defaultServiceType || 'domestic').toLowerCase();
+
+    const carrierRules = rules.carriers[carrierKey];
+    if (!carrierRules) {
+        const error = new Error(`Unsupported carrier: ${carrier}`);
+        error.status = 400;
+        throw error;
+    }
+    if (!SERVICE_TYPES.includes(service) || !carrierRules[service]) {
+        const error = new Error(`Unsupported service type for ${carrierKey}: ${serviceType}`);
+        error.status = 400;
+        throw error;
+    }
+
+    return { carrier: carrierKey, carrierName: carrierRules.name || carrierKey, serviceType: service, ...carrierRules[service] };
+}
+
+// Volumetric weight (kg) of a carton given in inches: L×B×H in cm³ / divisor
+function calculateVolumetricWeight(length, breadth, height, divisor) {
+    return (length * breadth * height * CUBIC_INCH_TO_CUBIC_CM) / divisor;
+}
+
+// Couriers bill on the greater of actual and volumetric weight, rounded up
+// to the service's weight increment
+function calculateBillableWeight({ length, breadth, height, actualWeight }, { carrier, serviceType } = {}) {
+    const rule = getCarrierRule(carrier, serviceType);
+    const volumetricWeight = calculateVolumetricWeight(length, breadth, height, rule.divisor);
+    const chargeable = Math.max(actualWeight, volumetricWeight, rule.minimumWeight || 0);
+    const billableWeight = rule.weightIncrement
+        ? Math.ceil(chargeable / rule.weightIncrement - 1e-9) * rule.weightIncrement
+        : chargeable;
+
+    return {
+        carrier: rule.carrier,
+        serviceType: rule.serviceType,
+        divisor: rule.divisor,
+        actualWeight: Math.round(actualWeight * 1000) / 1000,
+        volumetricWeight: Math.round(volumetricWeight * 1000) / 1000,
+        billableWeight: Math.round(billableWeight * 1000) / 1000,
+        chargedOn: volumetricWeight > actualWeight ? 'volumetric' : 'actual',
+        unit: 'kg'
+    };
+}
+
+// Per-piece limits of a service (maxWeight kg, maxLength and maxLengthPlusGirth cm).
+// Returns one entry per limit the carton breaks; an empty list means it can ship
+function checkServiceLimits({ length, breadth, height, actualWeight }, limits = {}) {
+    const [longest, middle, shortest] = [length, breadth, height]
+        .map(side => side * INCH_TO_CM)
+        .sort((a, b) => b - a);
+    const measured = {
+        maxWeight: actualWeight,
+        maxLength: longest,
+        maxLengthPlusGirth: longest + 2 * (middle + shortest)
+    };
+
+    return Object.entries(measured)
+        .filter(([limit, value]) => limits[limit] > 0 && value > limits[limit] + 1e-9)
+        .map(([limit, value]) => ({
+            limit,
+            value: Math.round(value * 100) / 100,
+            allowed: limits[limit],
+            unit: limit === 'maxWeight' ? 'kg' : 'cm'
+        }));
+}
+
+module.exports = {
+    SERVICE_TYPES,
+    loadCarrierRules,
+    getCarrierRules,
+    getCarrierRule,
+    calculateVolumetricWeight,
+    calculateBillableWeight,
+    checkServiceLimits
+};
@@ -0,0 +1,68 @@
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Parse CSV text into an array of objects keyed by the lower-cased header row
+function parseCsv(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const headers = splitCsvLine(lines[0]).map(header => header.toLowerCase());
+    return lines.slice(1).map((line, index) => {
+        const values = splitCsvLine(line);
+        const row = { line: index + 2 };
+        headers.forEach((header, column) => {
+            row[header] = values[column] !== undefined ? values[column] : '';
+        });
+        return row;
+    });
+}
+
+// Quote a value for CSV output when it holds a comma, quote or line break
+function escapeCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text from an array of objects, one column per entry in columns
+function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    splitCsvLine,
+    parseCsv,
+    toCsv
+};
@@ -0,0 +1,111 @@
+const { Product, Carton, resolveProductDimensions } = require('./packingEngine');
+const { itemToCanonical } = require('./units');
+
+// Fields a stored item lacks for packing: its dimensions (by shape) and
+// weight. Empty when productFromItem can build it
+function missingPackingFields(item) {
+    const canonical = itemToCanonical(item);
+    const dimensions = resolveProductDimensions({ shape: item.shape, ...canonical.dimensions });
+    const isPositive = value => Number(value) > 0;
+    return [
+        ...['length', 'breadth', 'height'].filter(field => !isPositive(dimensions[field])),
+        ...(isPositive(canonical.weight) ? [] : ['weight'])
+    ];
+}
+
+// Packer product for a stored item: dimensions and weight are brought to
+// inches and kg, and cylinders and spheres are packed by their real shape
+function productFromItem(item, quantity) {
+    const canonical = itemToCanonical(item);
+    const dimensions = resolveProductDimensions({ shape: item.shape, ...canonical.dimensions });
+    return new Product(
+        dimensions.length,
+        dimensions.breadth,
+        dimensions.height,
+        canonical.weight,
+        quantity,
+        {
+            id: item._id.toString(),
+            name: item.productName || 'Unknown Product',
+            shape: dimensions.shape,
+            isFragile: item.isFragile || false,
+            maxStackHeight: item.maxStackHeight || dimensions.height * 10,
+            maxStackWeight: item.maxStackWeight || canonical.weight * 50,
+            canRotate: item.canRotate !== false,
+            thisSideUp: item.thisSideUp === true,
+            allowedOrientations: item.allowedOrientations && item.allowedOrientations.length > 0 ? [...item.allowedOrientations] : null,
+            priority: item.priority || 1,
+            value: item.value || 0,
+            damageCost: item.damageCost || (item.value || 0) * 0.1
+        }
+    );
+}
+
+// Inner (usable) and outer (shipped) dimensions of a stored box, in inches.
+// Inner defaults to length/breadth/height and outer to inner plus two walls
+function boxDimensions(box) {
+    const hasDimensions = dimensions => dimensions && dimensions.length > 0 && dimensions.breadth > 0 && dimensions.height > 0;
+    const pick = ({ length, breadth, height }) => ({ length, breadth, height });
+    const inner = hasDimensions(box.inner) ? pick(box.inner) : pick(box);
+    const wall = (box.wallThickness || 0) * 2;
+    const outer = hasDimensions(box.outer)
+        ? pick(box.outer)
+        : { length: inner.length + wall, breadth: inner.breadth + wall, height: inner.height + wall };
+    return { inner, outer };
+}
+
+// Packer carton for a stored box; availableQuantity defaults to the box's stock.
+// Items are packed into the inner dimensions and carriers bill on the outer,
+// so estimated costs go by the outer volume
+function cartonFromBox(box, availableQuantity = box.quantity) {
+    const { inner, outer } = boxDimensions(box);
+    const outerVolume = outer.length * outer.breadth * outer.height;
+    return new Carton(
+        inner.length,
+        inner.breadth,
+        inner.height,
+        box.max_weight,
+        {
+            id: box._id.toString(),
+            name: box.name || box.box_name || 'Standard Carton',
+            availableQuantity,
+            cost: box.cost || outerVolume * 0.001,
+            shippingCost: box.shippingCost || (outerVolume * 0.0005 + box.max_weight * 0.01),
+            tareWeight: box.tareWeight || 0,
+            outerDimensions: outer,
+            priority: box.priority || 1,
+            popularity: box.popularity || 0,
+            fragileSupport: box.fragileSupport !== false,
+            maxStackLayers: box.maxStackLayers || 10
+        }
+    );
+}
+
+// Packer options from a request's `options`, with the route defaults
+function packingOptionsFrom(options = {}) {
+    return {
+        algorithm: options.algorithm || 'hybrid',
+        costOptimization: options.costOptimization !== false,
+        groupReduction: options.groupReduction !== false,
+        fragileHandling: options.fragileHandling !== false,
+        maxCartons: options.maxCartons || Infinity,
+        residualFill: options.residualFill === true,
+        exactTimeLimitMs: options.exactTimeLimitMs,
+        exactMaxItems: options.exactMaxItems,
+        metaheuristicIterations: options.metaheuristicIterations,
+        metaheuristicTimeLimitMs: options.metaheuristicTimeLimitMs,
+        seed: options.seed,
+        deterministic: options.deterministic === true,
+        stability: options.stability,
+        carrier: options.carrier,
+        serviceType: options.serviceType
+    };
+}
+
+module.exports = {
+    missingPackingFields,
+    productFromItem,
+    boxDimensions,
+    cartonFromBox,
+    packingOptionsFrom
+};
@@ -0,0 +1,185 @@
+const Order = require('../models/OrderSchema');
+const ItemData = require('../models/ItemSchema');
+const BoxData = require('../models/BoxSchema');
+const Reservation = require('../models/ReservationSchema');
+const PackingPlan = require('../models/PackingPlanSchema');
+const { calculateOptimalPacking } = require('./packingEngine');
+const { missingPackingFields, productFromItem, cartonFromBox, packingOptionsFrom } = require('./inventoryPacking');
+const { createPackingPlan, planRequirements } = require('./packingPlans');
+const { getReservedQuantities, withAvailability, reserveStock } = require('./reservations');
+
+// Statuses an order may move to, and the statuses it may move from
+const ORDER_TRANSITIONS = {
+    planned: ['new', 'planned'],
+    packed: ['planned'],
+    shipped: ['packed'],
+    cancelled: ['new', 'planned']
+};
+
+function orderError(status, message, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Move an order to a new status if it is in one the lifecycle allows from.
+// Returns the updated order, or null when the order was not in such a status
+function transitionOrder(order, status, userId, { set = {}, unset, note, session } = {}) {
+    const update = {
+        $set: { ...set, status, lastUpdated: new Date() },
+        $push: { statusHistory: { status, at: new Date(), by: userId, note } }
+    };
+    if (unset) update.$unset = unset;
+
+    return Order.findOneAndUpdate(
+        { _id: order._id, createdBy: userId, status: { $in: ORDER_TRANSITIONS[status] } },
+        update,
+        { new: true, session }
+    );
+}
+
+// Plan an order: pack every line into unreserved boxes, save the plan and
+// hold its boxes and items for ttlMinutes. Planning again replaces the plan
+// and its hold. Throws 409 when lines are short of unreserved stock, 422 when
+// items lack dimensions or weight, 404 without boxes and 422 when the order
+// does not fit the boxes available
+async function planOrder(order, userId, { options = {}, units, ttlMinutes } = {}) {
+    if (!ORDER_TRANSITIONS.planned.includes(order.status)) {
+        throw orderError(409, `Cannot plan an order that is ${order.status}`);
+    }
+
+    // Stock held for this order's previous plan is free to use again
+    const reserved = await getReservedQuantities(userId, { exclude: { order: order._id } });
+
+    const items = await ItemData.find({
+        _id: { $in: order.lines.map(line => line.item) },
+        createdBy: userId,
+        deletedAt: null
+    }).lean();
+    const itemFor = line => items.find(item => String(item._id) === String(line.item));
+
+    // Lines for the same item draw on the same stock
+    const required = new Map();
+    for (const line of order.lines) {
+        const entry = required.get(String(line.item)) || { line, quantity: 0 };
+        entry.quantity += line.quantity;
+        required.set(String(line.item), entry);
+    }
+
+    const shortages = [];
+    for (const { line, quantity } of required.values()) {
+        const item = itemFor(line);
+        const available = item ? withAvailability(item, reserved.items).availableQuantity : 0;
+        if (quantity > available) {
+            shortages.push({ type: 'item', id: line.item, name: line.productName, required: quantity, available });
+        }
+    }
+    if (shortages.length) {
+        throw orderError(409, "Not enough unreserved stock for this order", { shortages });
+    }
+
+    const lineErrors = order.lines
+        .map(line => ({ itemId: line.item, name: line.productName, missingFields: missingPackingFields(itemFor(line)) }))
+        .filter(line => line.missingFields.length);
+    if (lineErrors.length) {
+        throw orderError(422, "Some order items are missing the dimensions or weight needed for packing", { lineErrors });
+    }
+
+    const boxes = (await BoxData.find({ createdBy: userId, quantity: { $gt: 0 } }).lean())
+        .map(box => withAvailability(box, reserved.boxes))
+        .filter(box => box.availableQuantity > 0);
+    if (!boxes.length) {
+        throw orderError(404, "No available boxes found");
+    }
+
+    const products = order.lines.map(line => productFromItem(itemFor(line), line.quantity));
+    const cartons = boxes.map(box => cartonFromBox(box, box.availableQuantity));
+    const packed = calculateOptimalPacking(products, cartons, packingOptionsFrom(options));
+
+    if (packed.remainingQuantity > 0) {
+        throw orderError(422, `Order does not fit in the available boxes: ${packed.remainingQuantity} items could not be packed`, {
+            unpackedProducts: packed.unpackedProducts,
+            summary: packed.summary
+        });
+    }
+
+    const plan = await createPackingPlan('order', userId, {
+        products,
+        cartons,
+        options,
+        units,
+        productIds: order.lines.map(line => line.item)
+    }, packed, { order: order._id });
+
+    // The previous hold stays until the order has moved to the new plan, so a
+    // failed re-plan leaves the order with the hold it had
+    const reservation = await reserveStock(userId, planRequirements(plan), {
+        plan: plan._id,
+        order: order._id,
+        ttlMinutes,
+        note: `Order ${order.orderNumber}`,
+        replace: false
+    });
+
+    const previousPlan = order.plan;
+    const planned = await transitionOrder(order, 'planned', userId, {
+        set: { plan: plan._id, reservation: reservation._id }
+    });
+    if (!planned) {
+        await Reservation.deleteOne({ _id: reservation._id });
+        throw orderError(409, "Order changed status while it was being planned");
+    }
+    await Reservation.deleteMany({ createdBy: userId, order: order._id, _id: { $ne: reservation._id } });
+
+    // The replaced plan can no longer be executed
+    if (previousPlan) {
+        await PackingPlan.updateOne(
+            { _id: previousPlan, createdBy: userId, status: 'planned' },
+            { $set: { status: 'superseded', supersededBy: plan._id } }
+        );
+    }
+
+    return { order: planned, plan, reservation, packed };
+}
+
+// Cartons needed per box type to pack a set of orders, from their plans,
+// with each box type's current stock. Dimensions are in inches
+async function summarizeCartons(userId, orders) {
+    const planIds = orders.filter(order => order.plan && order.status !== 'cancelled').map(order => order.plan);
+    const plans = await PackingPlan.find({ _id: { $in: planIds }, createdBy: userId }).select('packingResults').lean();
+
+    const totals = new Map();
+    for (const plan of plans) {
+        for (const box of planRequirements(plan).boxes) {
+            const entry = totals.get(box.boxId) || { boxId: box.boxId, cartonsNeeded: 0, orders: 0 };
+            entry.cartonsNeeded += box.quantity;
+            entry.orders += 1;
+            totals.set(box.boxId, entry);
+        }
+    }
+
+    const boxes = await BoxData.find({ _id: { $in: [...totals.keys()] }, createdBy: userId }).lean();
+    return [...totals.values()]
+        .map(entry => {
+            const box = boxes.find(candidate => String(candidate._id) === entry.boxId) || {};
+            return {
+                boxId: entry.boxId,
+                boxName: box.box_name || null,
+                length: box.length,
+                breadth: box.breadth,
+                height: box.height,
+                cartonsNeeded: entry.cartonsNeeded,
+                orders: entry.orders,
+                inStock: box.quantity || 0
+            };
+        })
+        .sort((a, b) => b.cartonsNeeded - a.cartonsNeeded);
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    transitionOrder,
+    planOrder,
+    summarizeCartons
+};
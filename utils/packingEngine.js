@@ -0,0 +1,2656 @@
+const { getCarrierRule, calculateBillableWeight } = require('./carrierRules');
+const { normalizeRateCard, resolveZone, quoteShipment } = require('./rateCards');
+
+// Enhanced Product class with fragility and stacking rules
+class Product {
+    constructor(length, breadth, height, weight, quantity, options = {}) {
+        if (length <= 0 || breadth <= 0 || height <= 0 || weight <= 0 || quantity <= 0) {
+            throw new Error('All product dimensions, weight, and quantity must be positive numbers');
+        }
+        this.id = options.id || `product_${length}x${breadth}x${height}_${weight}`;
+        this.name = options.name || 'Unknown Product';
+        this.length = length;
+        this.breadth = breadth;
+        this.height = height;
+        this.weight = weight;
+        this.quantity = quantity;
+
+        // Cylinders and spheres keep their bounding box in length/breadth/height
+        // and their true volume; radius defaults to fit the bounding box
+        this.shape = ['cylinder', 'sphere'].includes(options.shape) ? options.shape : 'cuboid';
+        this.radius = this.shape === 'cuboid' ? null : Math.min(length, breadth, this.shape === 'sphere' ? height : Infinity) / 2;
+        this.volume = this.shape === 'cylinder' ? Math.PI * this.radius * this.radius * height
+            : this.shape === 'sphere' ? 4 / 3 * Math.PI * Math.pow(this.radius, 3)
+                : length * breadth * height;
+        this.density = weight / this.volume;
+
+        // Fragility and stacking rules
+        this.isFragile = options.isFragile || false;
+        this.maxStackHeight = options.maxStackHeight || Math.floor(height * 10); // Default: 10x product height
+        this.maxStackWeight = options.maxStackWeight || weight * 50; // Default: 50x product weight
+        this.canRotate = options.canRotate !== false; // Default: true
+        this.thisSideUp = options.thisSideUp === true; // May turn about the vertical axis but never tip over
+        this.allowedOrientations = Array.isArray(options.allowedOrientations) ? options.allowedOrientations : null; // Orientation indices 0-5
+        this.priority = options.priority || 1; // Higher = more important to pack
+
+        // Cost factors
+        this.value = options.value || 0;
+        this.damageCost = options.damageCost || this.value * 0.1;
+    }
+}
+
+// Enhanced Carton class with cost and priority factors
+class Carton {
+    constructor(length, breadth, height, maxWeight, options = {}) {
+        if (length <= 0 || breadth <= 0 || height <= 0 || maxWeight <= 0) {
+            throw new Error('All carton dimensions and max weight must be positive numbers');
+        }
+        this.id = options.id || `carton_${length}x${breadth}x${height}_${maxWeight}`;
+        this.name = options.name || 'Standard Carton';
+        this.length = length;
+        this.breadth = breadth;
+        this.height = height;
+        this.maxWeight = maxWeight;
+        this.volume = length * breadth * height;
+        this.availableQuantity = options.availableQuantity || 1;
+
+        // Cost factors
+        this.cost = options.cost || this.volume * 0.001; // Default cost per cubic unit
+        this.shippingCost = options.shippingCost || this.volume * 0.0005 + this.maxWeight * 0.01;
+        this.priority = options.priority || 1; // Higher = preferred choice
+        this.popularity = options.popularity || 0; // Usage frequency score
+
+        // Physical properties
+        this.fragileSupport = options.fragileSupport !== false; // Can hold fragile items
+        this.maxStackLayers = options.maxStackLayers || 10;
+        this.tareWeight = options.tareWeight || 0; // Empty carton weight, added to what it ships at
+        this.outerDimensions = options.outerDimensions || { length, breadth, height }; // Size the carrier measures
+    }
+}
+
+// 3D Position and Layout classes for visualization
+class Position3D {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+}
+
+class PackedItem {
+    constructor(product, position, orientation, stackLevel = 1) {
+        this.productId = product.id;
+        this.productName = product.name;
+        this.position = position;
+        this.orientation = orientation;
+        this.stackLevel = stackLevel;
+        this.dimensions = this.getOrientedDimensions(product, orientation);
+        this.weight = product.weight;
+        this.volume = product.volume;
+        if (product.shape !== 'cuboid') {
+            // Position and dimensions describe the bounding box of the round item
+            this.shape = product.shape;
+            this.radius = product.radius;
+        }
+        this.fromResidual = false; // Placed by the residual-space fill rather than the main grid
+        this.maxLoad = product.maxStackWeight; // Weight the item can bear on top
+        this.loadAbove = 0; // Weight actually resting on it, set by checkItemLoads
+    }
+
+    getOrientedDimensions(product, orientation) {
+        const orientations = [
+            [product.length, product.breadth, product.height], // L×B×H
+            [product.length, product.height, product.breadth], // L×H×B
+            [product.breadth, product.length, product.height], // B×L×H
+            [product.breadth, product.height, product.length], // B×H×L
+            [product.height, product.length, product.breadth], // H×L×B
+            [product.height, product.breadth, product.length]  // H×B×L
+        ];
+        const [l, b, h] = orientations[orientation];
+        return { length: l, breadth: b, height: h };
+    }
+}
+
+// Bounding box of a product described by shape: cylinders and spheres by
+// radius, cubes by side, anything else by length, breadth and height
+function resolveProductDimensions(data) {
+    const shape = String(data.shape || '').toLowerCase();
+    const radius = Number(data.radius);
+    if (shape === 'cylinder' && radius > 0) return { shape, length: radius * 2, breadth: radius * 2, height: data.height };
+    if (shape === 'sphere' && radius > 0) return { shape, length: radius * 2, breadth: radius * 2, height: radius * 2 };
+    if (shape === 'cube' && data.side > 0) return { shape, length: data.side, breadth: data.side, height: data.side };
+    return { shape, length: data.length, breadth: data.breadth, height: data.height };
+}
+
+// Stops the exact search: EXACT_TIMEOUT when its budget runs out,
+// EXACT_COMBINATION_LIMIT when there are too many carton combinations
+function exactSearchError(code) {
+    const error = new Error(code === 'EXACT_TIMEOUT' ? 'Exact search timed out' : 'Exact search hit the combination limit');
+    error.code = code;
+    return error;
+}
+
+// Seeded pseudo-random generator (mulberry32) so searches can be replayed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Carton fill strategies the metaheuristic can switch between
+const PACKING_STRATEGIES = ['block', 'guillotine', 'skyline'];
+
+// Advanced 3D Bin Packing Algorithm
+class Advanced3DBinPacker {
+    constructor(options = {}) {
+        this.options = {
+            residualFill: options.residualFill === true, // Fill space left around grid layouts
+            maxResidualDepth: options.maxResidualDepth || 3,
+            exactTimeLimitMs: options.exactTimeLimitMs || 2000, // Exact search budget before falling back
+            exactMaxItems: options.exactMaxItems || 36,
+            exactMaxCombinations: options.exactMaxCombinations || 20000, // Carton combinations enumerated before falling back
+            metaheuristicIterations: options.metaheuristicIterations || 200,
+            metaheuristicTimeLimitMs: options.metaheuristicTimeLimitMs || 5000,
+            seed: Number.isFinite(options.seed) ? options.seed : 1,
+            deterministic: options.deterministic === true, // Same input, same output
+            exactNodeLimit: options.exactNodeLimit || 50000, // Exact search budget in deterministic mode
+            stability: options.stability ? {
+                minSupportRatio: 0.75, // Share of an item's base that must rest on something
+                maxCenterOfMassHeight: 0.6, // Fraction of carton height
+                maxCenterOfMassOffset: 0.2, // Fraction of carton length/breadth from the middle
+                allowHeavyOnLight: false,
+                ...(typeof options.stability === 'object' ? options.stability : {})
+            } : null,
+            shippingQuote: options.shippingQuote || null // (carton, contentsWeight) => quoted shipping cost
+        };
+        this.rejectedLayouts = []; // Layouts the stability constraints turned down
+        this.lastRun = null; // Algorithm actually used by the last packItems call
+        this.algorithms = {
+            FIRST_FIT_DECREASING: 'ffd',
+            BEST_FIT_DECREASING: 'bfd',
+            GUILLOTINE: 'guillotine',
+            SKYLINE: 'skyline',
+            HYBRID: 'hybrid',
+            EXACT: 'exact',
+            METAHEURISTIC: 'metaheuristic'
+        };
+    }
+
+    // Main packing method with algorithm selection
+    packItems(products, cartons, algorithm = 'hybrid') {
+        const known = Object.values(this.algorithms).includes(algorithm);
+        this.lastRun = { algorithmUsed: known ? algorithm : 'hybrid' };
+        this.rejectedLayouts = [];
+        return this.runAlgorithm(products, cartons, algorithm);
+    }
+
+    runAlgorithm(products, cartons, algorithm) {
+        switch (algorithm) {
+            case 'ffd':
+                return this.firstFitDecreasing(products, cartons);
+            case 'bfd':
+                return this.bestFitDecreasing(products, cartons);
+            case 'guillotine':
+                return this.packWithGuillotine(products, cartons);
+            case 'skyline':
+                return this.packWithSkyline(products, cartons);
+            case 'exact':
+                return this.packExact(products, cartons);
+            case 'metaheuristic':
+                return this.packWithMetaheuristic(products, cartons);
+            case 'hybrid':
+            default:
+                return this.hybridPacking(products, cartons);
+        }
+    }
+
+    // Hybrid approach combining multiple algorithms
+    hybridPacking(products, cartons) {
+        const results = [];
+
+        // Try different algorithms and pick the best result
+        const algorithms = ['ffd', 'bfd', 'guillotine', 'skyline'];
+        let bestResult = null;
+        let bestScore = -Infinity;
+
+        for (const algo of algorithms) {
+            try {
+                const result = this.runAlgorithm(products, cartons, algo);
+                const score = this.evaluatePackingQuality(result);
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestResult = result;
+                }
+            } catch (error) {
+                console.warn(`Algorithm ${algo} failed:`, error.message);
+            }
+        }
+
+        return bestResult || this.basicPacking(products, cartons);
+    }
+
+    // Search budget. Wall-clock limits make results depend on machine speed, so
+    // deterministic runs count search steps instead and report no timings
+    createSearchBudget(timeLimitMs, stepLimit = Infinity) {
+        const startTime = Date.now();
+        let steps = 0;
+
+        return {
+            exhausted: () => (this.options.deterministic
+                ? ++steps > stepLimit
+                : Date.now() - startTime > timeLimitMs),
+            elapsedMs: () => (this.options.deterministic ? undefined : Date.now() - startTime)
+        };
+    }
+
+    // Exact mode for small orders: branch-and-bound over carton combinations.
+    // Combinations are tried by carton count, then by cost, so the first one the
+    // items can be assigned to is the minimum count at the lowest cost. Placement
+    // inside each carton uses the block and guillotine packers, so optimality is
+    // relative to what those can fit. Falls back to hybrid on the time limit
+    packExact(products, cartons) {
+        const budget = this.createSearchBudget(this.options.exactTimeLimitMs, this.options.exactNodeLimit);
+        const incumbent = this.hybridPacking(products, cartons);
+        const totalUnits = products.reduce((sum, product) => sum + product.quantity, 0);
+        const incumbentItems = incumbent.reduce((sum, result) => sum + result.itemsPacked, 0);
+
+        const fallback = (reason, algorithmUsed = 'hybrid') => {
+            this.lastRun = {
+                algorithmUsed,
+                exactSearch: { proven: false, reason, searchTimeMs: budget.elapsedMs() }
+            };
+            return incumbent;
+        };
+
+        if (totalUnits > this.options.exactMaxItems) {
+            return fallback(`Order has ${totalUnits} items; exact mode handles up to ${this.options.exactMaxItems}`);
+        }
+        if (incumbentItems < totalUnits) {
+            return fallback('Not every item fits the available cartons');
+        }
+
+        const units = this.createDemand(products)
+            .flatMap(entry => Array.from({ length: entry.product.quantity }, () => entry.product));
+        const totalVolume = units.reduce((sum, product) => sum + product.volume, 0);
+        const totalWeight = units.reduce((sum, product) => sum + product.weight, 0);
+        const cartonTypes = cartons.filter(carton => (carton.availableQuantity || 1) > 0);
+
+        // Lower bound on carton count from volume and weight alone
+        const largestVolume = Math.max(...cartonTypes.map(carton => carton.volume));
+        const largestWeight = Math.max(...cartonTypes.map(carton => carton.maxWeight));
+        const lowerBound = Math.max(1, Math.ceil(totalVolume / largestVolume - 1e-9), Math.ceil(totalWeight / largestWeight - 1e-9));
+
+        const baseCost = combo => combo.reduce((sum, carton) => sum + carton.cost + carton.shippingCost, 0);
+        let best = incumbent;
+        let bestCost = baseCost(incumbent.map(result => result.carton));
+        const feasibilityCache = new Map();
+        let combinationsEvaluated = 0;
+        let combinationsEnumerated = 0;
+
+        try {
+            for (let count = lowerBound; count <= incumbent.length; count++) {
+                // Combinations are generated lazily and only those that could
+                // hold the items are kept, so the search stays within its
+                // budget and the combination cap however many cartons there are
+                const combos = [];
+                for (const combo of this.enumerateCartonCombinations(cartonTypes, count, budget)) {
+                    if (++combinationsEnumerated > this.options.exactMaxCombinations) {
+                        throw exactSearchError('EXACT_COMBINATION_LIMIT');
+                    }
+                    if (combo.reduce((sum, carton) => sum + carton.volume, 0) < totalVolume - 1e-9) continue;
+                    if (combo.reduce((sum, carton) => sum + carton.maxWeight, 0) < totalWeight - 1e-9) continue;
+                    const cost = baseCost(combo);
+                    // At the incumbent's count only a cheaper combination is an improvement
+                    if (count === incumbent.length && cost >= bestCost - 1e-9) continue;
+                    combos.push({ combo, cost });
+                }
+                combos.sort((a, b) => a.cost - b.cost);
+
+                let found = false;
+                for (const { combo, cost } of combos) {
+                    combinationsEvaluated++;
+                    const assignment = this.assignUnitsToCartons(units, combo, feasibilityCache, budget);
+                    if (assignment) {
+                        best = assignment;
+                        bestCost = cost;
+                        found = true;
+                        break;
+                    }
+                }
+
+                if (found) break;
+            }
+        } catch (error) {
+            if (error.code === 'EXACT_COMBINATION_LIMIT') {
+                return fallback(
+                    `Exact search hit the ${this.options.exactMaxCombinations}-combination limit`,
+                    'hybrid (exact search hit the combination limit)'
+                );
+            }
+            if (error.code !== 'EXACT_TIMEOUT') throw error;
+            const limit = this.options.deterministic
+                ? `${this.options.exactNodeLimit}-node limit`
+                : `${this.options.exactTimeLimitMs}ms time limit`;
+            return fallback(`Exact search hit the ${limit}`, 'hybrid (exact search timed out)');
+        }
+
+        this.lastRun = {
+            algorithmUsed: 'exact',
+            exactSearch: {
+                proven: true,
+                lowerBound,
+                cartonCount: best.length,
+                improvedOnHybrid: best !== incumbent,
+                combinationsEvaluated,
+                combinationsEnumerated,
+                searchTimeMs: budget.elapsedMs()
+            }
+        };
+        return best;
+    }
+
+    // Every multiset of `count` carton types that the carton stock allows,
+    // generated one at a time. Each step counts against the search budget
+    * enumerateCartonCombinations(cartonTypes, count, budget) {
+        const combo = [];
+        function* build(startIndex, used) {
+            if (budget.exhausted()) throw exactSearchError('EXACT_TIMEOUT');
+            if (combo.length === count) {
+                yield [...combo];
+                return;
+            }
+            for (let i = startIndex; i < cartonTypes.length; i++) {
+                const carton = cartonTypes[i];
+                const usedHere = i === startIndex ? used : 0;
+                if (usedHere >= (carton.availableQuantity || 1)) continue;
+                combo.push(carton);
+                yield* build(i, usedHere + 1);
+                combo.pop();
+            }
+        }
+        yield* build(0, 0);
+    }
+
+    // Backtracking assignment of units to a fixed set of cartons. Returns the
+    // packed cartons, or null when the units cannot be split across them
+    assignUnitsToCartons(units, combo, feasibilityCache, budget) {
+        const contents = combo.map(() => new Map());
+        const volumes = combo.map(() => 0);
+        const weights = combo.map(() => 0);
+        const remainingVolume = [];
+        for (let i = units.length - 1, sum = 0; i >= 0; i--) {
+            sum += units[i].volume;
+            remainingVolume[i] = sum;
+        }
+
+        const place = index => {
+            if (budget.exhausted()) throw exactSearchError('EXACT_TIMEOUT');
+            if (index === units.length) return true;
+
+            const freeVolume = combo.reduce((sum, carton, c) => sum + carton.volume - volumes[c], 0);
+            if (freeVolume < remainingVolume[index] - 1e-9) return false;
+
+            const unit = units[index];
+            const triedEmpty = new Set();
+
+            for (let c = 0; c < combo.length; c++) {
+                const carton = combo[c];
+                // Identical empty cartons are interchangeable, so try only one of them
+                if (volumes[c] === 0) {
+                    if (triedEmpty.has(carton)) continue;
+                    triedEmpty.add(carton);
+                }
+                if (volumes[c] + unit.volume > carton.volume + 1e-9) continue;
+                if (weights[c] + unit.weight > carton.maxWeight + 1e-9) continue;
+
+                contents[c].set(unit, (contents[c].get(unit) || 0) + 1);
+                if (this.packsCompletely(contents[c], carton, feasibilityCache)) {
+                    volumes[c] += unit.volume;
+                    weights[c] += unit.weight;
+                    if (place(index + 1)) return true;
+                    volumes[c] -= unit.volume;
+                    weights[c] -= unit.weight;
+                }
+                contents[c].set(unit, contents[c].get(unit) - 1);
+                if (contents[c].get(unit) === 0) contents[c].delete(unit);
+            }
+
+            return false;
+        };
+
+        if (!place(0)) return null;
+
+        return combo
+            .map((carton, c) => this.packsCompletely(contents[c], carton, feasibilityCache))
+            .filter(Boolean);
+    }
+
+    // Packed carton when the whole content fits, cached by carton and content
+    packsCompletely(content, carton, feasibilityCache) {
+        if (content.size === 0) return null;
+
+        const key = [carton.id, ...[...content.entries()].map(([product, count]) => `${product.id}:${count}`).sort()].join('|');
+        if (!feasibilityCache.has(key)) {
+            const totalItems = [...content.values()].reduce((sum, count) => sum + count, 0);
+            const demand = this.createDemand([...content.keys()]).map(entry => ({
+                product: entry.product,
+                remaining: content.get(entry.product)
+            }));
+
+            let packed = null;
+            for (const strategy of ['block', 'guillotine']) {
+                const result = this.packMixedCarton(demand, carton, strategy);
+                if (result && result.itemsPacked === totalItems) {
+                    packed = result;
+                    break;
+                }
+            }
+            feasibilityCache.set(key, packed);
+        }
+
+        return feasibilityCache.get(key);
+    }
+
+    // Simulated annealing over the product order, a preferred orientation per
+    // product and the fill strategy (block, guillotine or skyline). Each state
+    // is decoded with the best-fit carton loop and scored with
+    // evaluatePackingQuality; the seeded generator makes runs with the same
+    // seed and iteration budget reproducible
+    packWithMetaheuristic(products, cartons) {
+        const { metaheuristicIterations, metaheuristicTimeLimitMs, seed } = this.options;
+        const budget = this.createSearchBudget(metaheuristicTimeLimitMs);
+        const random = createRandom(seed);
+
+        const baseOrder = this.createDemand(products).map(entry => entry.product);
+        const orientationCounts = baseOrder.map(product => this.getAllOrientations(product).length);
+
+        // Start from the best of the plain greedy decodes
+        let current = null;
+        let currentResults = null;
+        let currentScore = -Infinity;
+        for (const strategy of PACKING_STRATEGIES) {
+            const state = { order: baseOrder, orientationHints: baseOrder.map(() => null), strategy };
+            const results = this.decodePackingState(state, cartons);
+            const score = this.evaluatePackingQuality(results);
+            if (score > currentScore) {
+                current = state;
+                currentResults = results;
+                currentScore = score;
+            }
+        }
+        let best = { results: currentResults, score: currentScore };
+        const initialScore = currentScore;
+
+        let iterations = 0;
+        let improvements = 0;
+        let stoppedBy = 'iterations';
+
+        for (; iterations < metaheuristicIterations; iterations++) {
+            if (budget.exhausted()) {
+                stoppedBy = 'timeLimit';
+                break;
+            }
+
+            const candidate = this.mutatePackingState(current, orientationCounts, random);
+
+            const candidateResults = this.decodePackingState(candidate, cartons);
+            const candidateScore = this.evaluatePackingQuality(candidateResults);
+
+            // Geometric cooling from 10 score points down to 0.1
+            const temperature = 10 * Math.pow(0.01, iterations / metaheuristicIterations);
+            const delta = candidateScore - currentScore;
+            if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+                current = candidate;
+                currentResults = candidateResults;
+                currentScore = candidateScore;
+
+                if (currentScore > best.score) {
+                    best = { results: currentResults, score: currentScore };
+                    improvements++;
+                }
+            }
+        }
+
+        this.lastRun = {
+            algorithmUsed: 'metaheuristic',
+            metaheuristic: {
+                seed,
+                iterations,
+                stoppedBy,
+                improvements,
+                initialScore: Math.round(initialScore * 100) / 100,
+                bestScore: Math.round(best.score * 100) / 100,
+                searchTimeMs: budget.elapsedMs()
+            }
+        };
+
+        return best.results.length > 0 ? best.results : this.basicPacking(products, cartons);
+    }
+
+    // Best-fit carton loop over a demand built from the state's product order,
+    // with each product's preferred orientation tried first
+    decodePackingState(state, cartons) {
+        const demand = state.order.map((product, index) => ({
+            product,
+            remaining: product.quantity,
+            orientationHint: state.orientationHints[index]
+        }));
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+            let bestScore = -Infinity;
+
+            for (const carton of cartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const packingResult = state.strategy === 'skyline'
+                    ? this.packSkylineCarton(demand, carton)
+                    : this.packMixedCarton(demand, carton, state.strategy);
+                if (packingResult && packingResult.itemsPacked > 0) {
+                    const score = this.calculatePackingScore(packingResult);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestFit = packingResult;
+                    }
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Neighbour state: swap two products, change one orientation hint or flip the strategy
+    mutatePackingState(state, orientationCounts, random) {
+        const moves = ['strategy']; // Always available, so a neighbour always exists
+        if (state.order.length > 1) moves.push('swap');
+        if (orientationCounts.some(count => count > 1)) moves.push('orientation');
+
+        const next = {
+            order: [...state.order],
+            orientationHints: [...state.orientationHints],
+            strategy: state.strategy
+        };
+        const move = moves[Math.floor(random() * moves.length)];
+
+        if (move === 'swap') {
+            const i = Math.floor(random() * next.order.length);
+            let j = Math.floor(random() * (next.order.length - 1));
+            if (j >= i) j++;
+            [next.order[i], next.order[j]] = [next.order[j], next.order[i]];
+            [next.orientationHints[i], next.orientationHints[j]] = [next.orientationHints[j], next.orientationHints[i]];
+        } else if (move === 'orientation') {
+            const rotatable = orientationCounts
+                .map((count, index) => (count > 1 ? index : -1))
+                .filter(index => index >= 0);
+            const index = rotatable[Math.floor(random() * rotatable.length)];
+            // null lets the packer choose freely again
+            const choice = Math.floor(random() * (orientationCounts[index] + 1));
+            next.orientationHints[index] = choice === orientationCounts[index] ? null : choice;
+        } else {
+            const others = PACKING_STRATEGIES.filter(strategy => strategy !== state.strategy);
+            next.strategy = others[Math.floor(random() * others.length)];
+        }
+
+        return next;
+    }
+
+    // Enhanced First Fit Decreasing with 3D considerations
+    firstFitDecreasing(products, cartons) {
+        // Products are sorted by priority and volume (largest first)
+        const demand = this.createDemand(products);
+
+        // Sort cartons by efficiency score
+        const sortedCartons = this.sortCartonsByPriority(cartons);
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+
+            for (const carton of sortedCartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const packingResult = this.packMixedCarton(demand, carton);
+                if (packingResult && packingResult.itemsPacked > 0) {
+                    bestFit = packingResult;
+                    break; // First fit
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Enhanced Best Fit Decreasing
+    bestFitDecreasing(products, cartons) {
+        const demand = this.createDemand(products);
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+            let bestScore = -Infinity;
+
+            for (const carton of cartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const packingResult = this.packMixedCarton(demand, carton);
+                if (packingResult && packingResult.itemsPacked > 0) {
+                    const score = this.calculatePackingScore(packingResult);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestFit = packingResult;
+                    }
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Guillotine-based packing for better space utilization
+    packWithGuillotine(products, cartons) {
+        const demand = this.createDemand(products);
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+            let bestWasteRatio = Infinity;
+
+            for (const carton of cartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const packingResult = this.packWithGuillotineConstraints(demand, carton);
+                if (packingResult && packingResult.wasteRatio < bestWasteRatio) {
+                    bestWasteRatio = packingResult.wasteRatio;
+                    bestFit = packingResult;
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Skyline-based packing algorithm
+    packWithSkyline(products, cartons) {
+        const demand = this.createDemand(products);
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+            let bestScore = -Infinity;
+
+            for (const carton of cartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const packingResult = this.packSkylineCarton(demand, carton);
+                if (packingResult && packingResult.itemsPacked > 0) {
+                    const score = this.calculatePackingScore(packingResult);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestFit = packingResult;
+                    }
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Shared demand list: how many units of each product still need a carton
+    createDemand(products) {
+        return [...products]
+            .sort((a, b) => {
+                if (a.priority !== b.priority) return b.priority - a.priority;
+                return b.volume - a.volume;
+            })
+            .map(product => ({ product, remaining: product.quantity }));
+    }
+
+    // Per-run carton stock so algorithms never consume each other's cartons
+    createCartonStock(cartons) {
+        return new Map(cartons.map(carton => [carton, carton.availableQuantity || 1]));
+    }
+
+    hasRemainingDemand(demand) {
+        return demand.some(entry => entry.remaining > 0);
+    }
+
+    // Book a filled carton against the demand and the carton stock
+    commitCarton(packingResult, demand, stock) {
+        for (const content of packingResult.products) {
+            const entry = demand.find(d => d.product === content.product);
+            if (entry) entry.remaining -= content.itemsPacked;
+        }
+        stock.set(packingResult.carton, stock.get(packingResult.carton) - 1);
+    }
+
+    // Core carton packing logic: fill one carton with any mix of the remaining
+    // products, one grid block at a time, tracking the free space left over.
+    // The 'block' strategy takes the largest block and cuts a fixed way; the
+    // 'guillotine' strategy picks the best-fitting space and the best cut
+    packMixedCarton(demand, carton, strategy = 'block') {
+        const remaining = demand.map(entry => entry.remaining);
+        let freeSpaces = [{
+            x: 0, y: 0, z: 0,
+            length: carton.length,
+            breadth: carton.breadth,
+            height: carton.height,
+            stackLevel: 0
+        }];
+        let remainingWeight = carton.maxWeight;
+        const placements = [];
+
+        demand.forEach((entry, index) => {
+            const { product } = entry;
+
+            while (remaining[index] > 0 && remainingWeight >= product.weight) {
+                const maxQuantity = Math.min(remaining[index], Math.floor(remainingWeight / product.weight));
+                const refused = {};
+                const placement = this.findBlockPlacement(product, freeSpaces, carton, maxQuantity, remainingWeight, strategy, entry.orientationHint, refused);
+                if (!placement) {
+                    this.recordRefusedPlacement(carton, product, placements, refused);
+                    break;
+                }
+
+                freeSpaces = this.splitFreeSpace(freeSpaces, placement, product, strategy);
+                placements.push(placement);
+                remaining[index] -= placement.layout.itemsPacked;
+                remainingWeight -= placement.layout.itemsPacked * product.weight;
+            }
+        });
+
+        if (placements.length === 0) return null;
+
+        return this.applyStabilityConstraints(this.buildCartonResult(carton, placements, freeSpaces));
+    }
+
+    // Pick the free space and orientation for the next block of a product.
+    // A preferred orientation is used when it fits somewhere, otherwise all are tried.
+    // refused collects the stability rules that turned a fitting block away
+    findBlockPlacement(product, freeSpaces, carton, maxQuantity, remainingWeight, strategy = 'block', orientationHint = null, refused = {}) {
+        const orientations = this.getAllOrientations(product);
+        const hinted = orientations.filter(orientation => orientation.index === orientationHint);
+
+        if (hinted.length > 0 && orientations.length > 1) {
+            const placement = this.placeBlock(product, freeSpaces, carton, maxQuantity, remainingWeight, strategy, hinted, refused);
+            if (placement) return placement;
+        }
+
+        return this.placeBlock(product, freeSpaces, carton, maxQuantity, remainingWeight, strategy, orientations, refused);
+    }
+
+    placeBlock(product, freeSpaces, carton, maxQuantity, remainingWeight, strategy, orientations, refused = {}) {
+        let bestPlacement = null;
+        const { stability } = this.options;
+
+        for (const space of freeSpaces) {
+            // Heavy items stay off lighter ones when stability is enforced
+            const heavyOnLight = stability && !stability.allowHeavyOnLight && product.weight > (space.supportWeight ?? Infinity) + 1e-9;
+
+            const spaceCarton = {
+                length: space.length,
+                breadth: space.breadth,
+                height: space.height,
+                maxWeight: remainingWeight,
+                volume: space.length * space.breadth * space.height,
+                maxStackLayers: Math.max(0, carton.maxStackLayers - space.stackLevel),
+                maxLoadPerArea: space.maxLoadPerArea,
+                baseHeight: space.z
+            };
+
+            let spaceBest = null;
+            let spaceBestScore = -Infinity;
+
+            for (const orientation of orientations) {
+                const layout = this.calculateOptimal3DLayout(product, spaceCarton, orientation, maxQuantity);
+                if (!layout || layout.itemsPacked === 0) continue;
+
+                const score = this.calculateLayoutScore(layout, product, spaceCarton);
+                // Round items compare on count first: that is what their staggered layouts gain
+                const moreItems = spaceBest && product.shape !== 'cuboid' && layout.itemsPacked !== spaceBest.layout.itemsPacked;
+                if (moreItems ? layout.itemsPacked > spaceBest.layout.itemsPacked : score > spaceBestScore) {
+                    spaceBestScore = score;
+                    spaceBest = { layout, orientation };
+                }
+            }
+
+            if (!spaceBest) continue;
+            if (heavyOnLight) {
+                refused.heavyOnLight = true;
+                continue;
+            }
+
+            const candidate = { ...spaceBest, space };
+            if (!bestPlacement || this.isBetterPlacement(candidate, bestPlacement, strategy)) {
+                bestPlacement = candidate;
+            }
+        }
+
+        if (!bestPlacement) return null;
+
+        const { layout, orientation, space } = bestPlacement;
+        const extent = { length: 0, breadth: 0, height: 0 };
+
+        // Move the block from space coordinates into carton coordinates
+        for (const item of layout.packedItems) {
+            extent.length = Math.max(extent.length, item.position.x + item.dimensions.length);
+            extent.breadth = Math.max(extent.breadth, item.position.y + item.dimensions.breadth);
+            extent.height = Math.max(extent.height, item.position.z + item.dimensions.height);
+
+            item.position = new Position3D(item.position.x + space.x, item.position.y + space.y, item.position.z + space.z);
+            item.stackLevel += space.stackLevel;
+        }
+
+        return {
+            product,
+            space,
+            extent,
+            layout,
+            orientation,
+            orientationIndex: orientation.index,
+            origin: new Position3D(space.x, space.y, space.z)
+        };
+    }
+
+    // Spaces are kept in bottom-back-left order, so ties always keep the earlier space.
+    // Block packing takes the largest block; guillotine packing takes the space the
+    // block fills most tightly (best volume fit), then the larger block
+    isBetterPlacement(candidate, current, strategy) {
+        if (strategy === 'guillotine') {
+            const candidateLeftover = this.calculatePlacementLeftover(candidate);
+            const currentLeftover = this.calculatePlacementLeftover(current);
+            if (Math.abs(candidateLeftover - currentLeftover) > 1e-9) return candidateLeftover < currentLeftover;
+        }
+        return candidate.layout.itemsPacked > current.layout.itemsPacked;
+    }
+
+    calculatePlacementLeftover(placement) {
+        const { space, layout } = placement;
+        const usedVolume = layout.packedItems.reduce((sum, item) => sum + item.volume, 0);
+        return space.length * space.breadth * space.height - usedVolume;
+    }
+
+    // Replace the used free space with the residual spaces left by guillotine cuts
+    // around the placed block, so residuals never overlap. The vertical cut is
+    // always made last so anything placed on top rests on the block itself
+    splitFreeSpace(freeSpaces, placement, product, strategy = 'block') {
+        const { space, extent, layout } = placement;
+        let residuals = this.guillotineCut(space, extent, ['x', 'y', 'z']);
+
+        if (strategy === 'guillotine') {
+            // Cut along whichever floor axis keeps the largest residual space intact
+            const alternative = this.guillotineCut(space, extent, ['y', 'x', 'z']);
+            if (this.largestResidualVolume(alternative) > this.largestResidualVolume(residuals)) {
+                residuals = alternative;
+            }
+        }
+
+        // Nothing goes on top of fragile items, of a stack that cannot bear more
+        // load, or of spheres and residual-filled blocks whose top surface is uneven
+        // (or, with stability enforced, on a partly filled top layer)
+        const top = residuals.find(residual => residual.axis === 'z');
+        const topLoadLimit = this.calculateTopLoadLimit(product, placement.orientation.dims, layout.layers, space.maxLoadPerArea);
+        const fullTopLayer = layout.itemsPacked - (layout.residualItems || 0) === layout.layers * layout.itemsPerLayer;
+        const flatTop = product.shape !== 'sphere';
+        if (!product.isFragile && flatTop && !layout.residualItems && topLoadLimit > 0 && (fullTopLayer || !this.options.stability)) {
+            top.stackLevel = space.stackLevel + layout.layers;
+            top.maxLoadPerArea = topLoadLimit;
+            top.supportWeight = product.weight;
+        } else {
+            residuals = residuals.filter(residual => residual !== top);
+        }
+
+        residuals.forEach(residual => delete residual.axis);
+
+        return freeSpaces
+            .filter(s => s !== space)
+            .concat(residuals.filter(s => s.length > 1e-9 && s.breadth > 1e-9 && s.height > 1e-9))
+            .sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+    }
+
+    // Skyline packing: keep a height map of the carton floor and drop each item
+    // at the lowest, then back-most, then left-most position it fits
+    packSkylineCarton(demand, carton) {
+        const skyline = this.createSkyline(carton);
+        let remainingWeight = carton.maxWeight;
+        const placements = [];
+
+        for (const entry of demand) {
+            const { product } = entry;
+            const orientations = this.getAllOrientations(product);
+            const hinted = orientations.filter(orientation => orientation.index === entry.orientationHint);
+            let remaining = entry.remaining;
+
+            while (remaining > 0 && remainingWeight >= product.weight) {
+                const refused = {};
+                const spot = (hinted.length > 0 && this.findSkylinePosition(skyline, product, hinted, carton, refused))
+                    || this.findSkylinePosition(skyline, product, orientations, carton, refused);
+                if (!spot) {
+                    this.recordRefusedPlacement(carton, product, placements, refused);
+                    break;
+                }
+
+                const { orientation, x, y, z, stackLevel, maxLoadPerArea } = spot;
+                const [pLength, pBreadth, pHeight] = orientation.dims;
+                const packedItem = new PackedItem(product, new Position3D(x, y, z), orientation.index, stackLevel);
+
+                this.raiseSkyline(skyline, x, y, pLength, pBreadth, { top: z + pHeight, product, stackLevel, maxLoadPerArea });
+
+                placements.push({
+                    product,
+                    extent: { length: pLength, breadth: pBreadth, height: pHeight },
+                    layout: {
+                        itemsPacked: 1,
+                        itemsPerLayer: 1,
+                        layers: 1,
+                        arrangement: { lengthwise: 1, breadthwise: 1, layers: 1 },
+                        packedItems: [packedItem],
+                        stackingInfo: this.analyzeStacking([packedItem], product, carton)
+                    },
+                    orientation,
+                    orientationIndex: orientation.index,
+                    origin: new Position3D(x, y, z)
+                });
+                remaining--;
+                remainingWeight -= product.weight;
+            }
+        }
+
+        if (placements.length === 0) return null;
+
+        return this.applyStabilityConstraints(this.buildCartonResult(carton, placements, this.skylineFreeSpaces(skyline, carton)));
+    }
+
+    // Height map over compressed floor coordinates: xs/ys are the cell edges and
+    // cells[i][j] holds the surface between xs[i]..xs[i+1] and ys[j]..ys[j+1]
+    createSkyline(carton) {
+        return {
+            xs: [0, carton.length],
+            ys: [0, carton.breadth],
+            cells: [[{ top: 0, product: null, stackLevel: 0, maxLoadPerArea: Infinity }]]
+        };
+    }
+
+    findSkylinePosition(skyline, product, orientations, carton, refused = {}) {
+        const { xs, ys, cells } = skyline;
+        let best = null;
+
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < ys.length - 1; j++) {
+                const floor = cells[i][j].top;
+                // Nothing placed from this corner can sit lower than its own cell
+                if (best && (floor > best.z || (floor === best.z && (ys[j] > best.y || (ys[j] === best.y && xs[i] >= best.x))))) {
+                    continue;
+                }
+
+                for (const orientation of orientations) {
+                    const [pLength, pBreadth, pHeight] = orientation.dims;
+                    const x = xs[i];
+                    const y = ys[j];
+                    if (x + pLength > carton.length + 1e-9 || y + pBreadth > carton.breadth + 1e-9) continue;
+
+                    const surface = this.readSkyline(skyline, x, y, pLength, pBreadth);
+                    if (surface.top + pHeight > carton.height + 1e-9) continue;
+                    if (surface.top > 1e-9 && surface.top + pHeight > product.maxStackHeight + 1e-9) continue;
+                    if (!this.canStackOnSkyline(surface, product)) continue;
+                    const violation = this.findSkylineStabilityViolation(surface, product, pLength * pBreadth);
+                    if (violation) {
+                        refused[violation] = true;
+                        continue;
+                    }
+
+                    // Load the new item's top can take: what it bears itself, capped by its supports
+                    const supportCapacity = this.calculateSkylineSupportCapacity(surface);
+                    const maxLoadPerArea = Math.min(supportCapacity - product.weight, product.maxStackWeight) / (pLength * pBreadth);
+
+                    const candidate = { orientation, x, y, z: surface.top, stackLevel: surface.stackLevel + 1, maxLoadPerArea };
+                    if (!best || candidate.z < best.z ||
+                        (candidate.z === best.z && (y < best.y || (y === best.y && x < best.x)))) {
+                        best = candidate;
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Highest surface under a footprint and the items the new item would rest on
+    readSkyline(skyline, x, y, length, breadth) {
+        const { xs, ys, cells } = skyline;
+        let top = 0;
+        let stackLevel = 0;
+        let supports = [];
+
+        for (let i = 0; i < xs.length - 1 && xs[i] < x + length - 1e-9; i++) {
+            if (xs[i + 1] <= x + 1e-9) continue;
+            for (let j = 0; j < ys.length - 1 && ys[j] < y + breadth - 1e-9; j++) {
+                if (ys[j + 1] <= y + 1e-9) continue;
+
+                const cell = cells[i][j];
+                if (cell.top > top + 1e-9) {
+                    top = cell.top;
+                    stackLevel = cell.stackLevel;
+                    supports = [];
+                }
+                if (Math.abs(cell.top - top) <= 1e-9 && cell.product) {
+                    stackLevel = Math.max(stackLevel, cell.stackLevel);
+                    const area = (Math.min(xs[i + 1], x + length) - Math.max(xs[i], x)) *
+                        (Math.min(ys[j + 1], y + breadth) - Math.max(ys[j], y));
+                    supports.push({ cell, area });
+                }
+            }
+        }
+
+        return { top, stackLevel, supports };
+    }
+
+    // Nothing goes on top of fragile items or of a stack already at its weight limit
+    canStackOnSkyline(surface, product) {
+        const fragileSafe = surface.supports.every(({ cell }) => {
+            const below = cell.product;
+            return !below.isFragile || (below === product && cell.stackLevel < 3);
+        });
+
+        return fragileSafe && product.weight <= this.calculateSkylineSupportCapacity(surface) + 1e-9;
+    }
+
+    // With stability enforced an item needs enough of its base supported and
+    // may not rest on lighter items. Returns the rule a position breaks, or null
+    findSkylineStabilityViolation(surface, product, footprintArea) {
+        const { stability } = this.options;
+        if (!stability || surface.top <= 1e-9) return null;
+
+        const supportedArea = surface.supports.reduce((sum, support) => sum + support.area, 0);
+        if (supportedArea < stability.minSupportRatio * footprintArea - 1e-9) return 'insufficientSupport';
+        if (!stability.allowHeavyOnLight && surface.supports.some(({ cell }) => product.weight > cell.product.weight + 1e-9)) return 'heavyOnLight';
+        return null;
+    }
+
+    // Weight the supporting cells can take, each over its contact area
+    calculateSkylineSupportCapacity(surface) {
+        if (surface.supports.length === 0) return Infinity; // Carton floor
+
+        const supportedArea = surface.supports.reduce((sum, support) => sum + support.area, 0);
+        const weakest = Math.min(...surface.supports.map(({ cell }) => cell.maxLoadPerArea));
+        return weakest * supportedArea;
+    }
+
+    // Raise the height map under a newly placed footprint
+    raiseSkyline(skyline, x, y, length, breadth, surface) {
+        const xStart = this.splitSkylineAxis(skyline, 'xs', x);
+        const xEnd = this.splitSkylineAxis(skyline, 'xs', x + length);
+        const yStart = this.splitSkylineAxis(skyline, 'ys', y);
+        const yEnd = this.splitSkylineAxis(skyline, 'ys', y + breadth);
+
+        for (let i = xStart; i < xEnd; i++) {
+            for (let j = yStart; j < yEnd; j++) {
+                skyline.cells[i][j] = surface;
+            }
+        }
+    }
+
+    // Insert an edge into the compressed coordinates, duplicating the split cells
+    splitSkylineAxis(skyline, axis, value) {
+        const edges = skyline[axis];
+        const existing = edges.findIndex(edge => Math.abs(edge - value) <= 1e-9);
+        if (existing >= 0) return existing;
+
+        const index = edges.findIndex(edge => edge > value);
+        edges.splice(index, 0, value);
+
+        if (axis === 'xs') {
+            skyline.cells.splice(index, 0, [...skyline.cells[index - 1]]);
+        } else {
+            skyline.cells.forEach(column => column.splice(index, 0, column[index - 1]));
+        }
+        return index;
+    }
+
+    // Report the open volume above each skyline cell as the carton's free space
+    skylineFreeSpaces(skyline, carton) {
+        const { xs, ys, cells } = skyline;
+        const freeSpaces = [];
+
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < ys.length - 1; j++) {
+                const cell = cells[i][j];
+                if (cell.top >= carton.height - 1e-9) continue;
+                freeSpaces.push({
+                    x: xs[i], y: ys[j], z: cell.top,
+                    length: xs[i + 1] - xs[i],
+                    breadth: ys[j + 1] - ys[j],
+                    height: carton.height - cell.top,
+                    stackLevel: cell.stackLevel,
+                    ...(cell.product && { maxLoadPerArea: cell.maxLoadPerArea })
+                });
+            }
+        }
+
+        return freeSpaces.sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+    }
+
+    // Cut a space along each axis in turn at the block's extent. Each cut leaves a
+    // residual beyond the block on that axis and narrows the space to the block
+    guillotineCut(space, extent, order) {
+        const dimensionKeys = { x: 'length', y: 'breadth', z: 'height' };
+        const residuals = [];
+        let current = { ...space };
+
+        for (const axis of order) {
+            const key = dimensionKeys[axis];
+            residuals.push({
+                ...current,
+                [axis]: current[axis] + extent[key],
+                [key]: current[key] - extent[key],
+                stackLevel: space.stackLevel,
+                axis
+            });
+            current = { ...current, [key]: extent[key] };
+        }
+
+        return residuals;
+    }
+
+    largestResidualVolume(residuals) {
+        return Math.max(...residuals.map(residual => residual.length * residual.breadth * residual.height));
+    }
+
+    // Assemble the per-carton result with every product and packed item inside it
+    buildCartonResult(carton, placements, freeSpaces) {
+        const contents = new Map();
+
+        for (const placement of placements) {
+            if (!contents.has(placement.product)) {
+                contents.set(placement.product, { product: placement.product, itemsPacked: 0, blocks: [] });
+            }
+            const content = contents.get(placement.product);
+            content.itemsPacked += placement.layout.itemsPacked;
+            content.blocks.push(placement);
+        }
+
+        const products = [...contents.values()].map(content => ({
+            ...content,
+            layers: Math.max(...content.blocks.map(block => block.layout.layers))
+        }));
+        const packedItems = placements.flatMap(placement => placement.layout.packedItems);
+
+        const layout = {
+            itemsPacked: packedItems.length,
+            layers: Math.max(...packedItems.map(item => item.stackLevel)),
+            blocks: placements.length,
+            packedItems,
+            spaceUtilization: this.calculateSpaceUtilization(packedItems, carton),
+            centerOfMass: this.calculateCenterOfMass(packedItems, carton)
+        };
+
+        return {
+            carton: carton,
+            itemsPacked: layout.itemsPacked,
+            products,
+            layout,
+            efficiency: this.calculateEfficiency(layout, carton),
+            wasteRatio: this.calculateWasteRatio(layout, carton),
+            cost: this.calculatePackingCost(layout, products, carton),
+            stackingInfo: this.analyzeCartonStacking(packedItems, products),
+            packedItems,
+            freeSpaces
+        };
+    }
+
+    // Calculate optimal 3D layout with stacking logic
+    calculateOptimal3DLayout(product, carton, orientation, maxQuantity, depth = 0) {
+        const [pLength, pBreadth, pHeight] = orientation.dims;
+
+        // Check basic fit
+        if (pLength > carton.length || pBreadth > carton.breadth || pHeight > carton.height) {
+            return null;
+        }
+
+        // Round items use their true shape where that beats the bounding-box grid
+        if (product.shape !== 'cuboid') {
+            const roundLayout = this.calculateRoundLayout(product, carton, orientation, maxQuantity);
+            if (roundLayout) return roundLayout;
+        }
+
+        // Calculate base layer arrangement
+        const itemsPerLength = Math.floor(carton.length / pLength);
+        const itemsPerBreadth = Math.floor(carton.breadth / pBreadth);
+        const itemsPerLayer = itemsPerLength * itemsPerBreadth;
+
+        if (itemsPerLayer === 0) return null;
+
+        // Calculate stacking possibilities
+        const maxStackLayers = this.calculateMaxStackLayers(product, carton, orientation.dims);
+        const totalItemsByVolume = itemsPerLayer * maxStackLayers;
+
+        // Weight constraint
+        const maxItemsByWeight = Math.floor(carton.maxWeight / product.weight);
+
+        // Final quantity considering all constraints
+        const gridItemsPacked = Math.min(totalItemsByVolume, maxItemsByWeight, maxQuantity);
+
+        if (gridItemsPacked === 0) return null;
+
+        // Generate 3D layout
+        const packedItems = this.generate3DLayout(
+            product, carton, orientation, itemsPerLength, itemsPerBreadth,
+            gridItemsPacked, pLength, pBreadth, pHeight
+        );
+        const layers = Math.ceil(gridItemsPacked / itemsPerLayer);
+
+        // Residual mode: when the grid is full, fill the slabs it leaves along each
+        // axis with whichever orientations fit them best
+        let residualBlocks = [];
+        if (this.options.residualFill && depth < this.options.maxResidualDepth && gridItemsPacked === totalItemsByVolume) {
+            const gridExtent = {
+                length: itemsPerLength * pLength,
+                breadth: itemsPerBreadth * pBreadth,
+                height: layers * pHeight
+            };
+            const residual = this.fillResidualSpaces(
+                product, carton, gridExtent, layers, orientation,
+                maxQuantity - gridItemsPacked,
+                carton.maxWeight - gridItemsPacked * product.weight,
+                depth
+            );
+            packedItems.push(...residual.packedItems);
+            residualBlocks = residual.blocks;
+        }
+
+        const actualItemsPacked = packedItems.length;
+
+        // Calculate stacking information
+        const stackingInfo = this.analyzeStacking(packedItems, product, carton);
+
+        return {
+            itemsPacked: actualItemsPacked,
+            itemsPerLayer,
+            layers,
+            arrangement: {
+                lengthwise: itemsPerLength,
+                breadthwise: itemsPerBreadth,
+                layers
+            },
+            residualItems: actualItemsPacked - gridItemsPacked,
+            residualBlocks,
+            packedItems,
+            stackingInfo,
+            spaceUtilization: this.calculateSpaceUtilization(packedItems, carton),
+            centerOfMass: this.calculateCenterOfMass(packedItems, carton)
+        };
+    }
+
+    // Upright cylinders and spheres pack in staggered (hexagonal) rows, which
+    // fits more per layer than a square grid of bounding boxes once there are
+    // a few rows. Spheres also nest each layer into the hollows of the one
+    // below. Returns null when the plain grid fits at least as many
+    calculateRoundLayout(product, carton, orientation, maxQuantity) {
+        const diameter = product.radius * 2;
+        const isSphere = product.shape === 'sphere';
+        if (!isSphere && orientation.dims[2] !== product.height) return null; // Lying cylinders use the grid
+
+        // Layer pitch: spheres sit in the hollows of the layer below, except under
+        // the stability constraints, which need each item resting squarely on one below
+        const nestLayers = isSphere && !this.options.stability;
+        const pitch = nestLayers ? diameter * Math.sqrt(2 / 3) : orientation.dims[2];
+        const itemHeight = orientation.dims[2];
+        const layersByHeight = Math.floor((carton.height - itemHeight) / pitch + 1e-9) + 1;
+        const layersByLoad = this.calculateMaxStackLayers(product, { ...carton, height: Infinity }, orientation.dims);
+        const maxLayers = Math.min(layersByHeight, layersByLoad);
+        const maxItems = Math.min(maxQuantity, Math.floor(carton.maxWeight / product.weight));
+
+        const gridLayers = this.calculateMaxStackLayers(product, carton, orientation.dims);
+        const boundingBoxItems = Math.min(
+            maxItems,
+            Math.floor(carton.length / diameter) * Math.floor(carton.breadth / diameter) * gridLayers
+        );
+
+        // Rows may run along the length or the breadth; keep whichever fits more
+        const alongLength = this.hexLayerPositions(carton.length, carton.breadth, diameter);
+        const alongBreadth = this.hexLayerPositions(carton.breadth, carton.length, diameter).map(({ x, y }) => ({ x: y, y: x }));
+        const rowsAlongLength = alongLength.length >= alongBreadth.length;
+
+        const packedItems = [];
+        let itemsPerLayer = 0;
+        for (let layer = 0; layer < maxLayers && packedItems.length < maxItems; layer++) {
+            const nested = nestLayers && layer % 2 === 1;
+            const offset = nested ? { across: product.radius, rows: product.radius / Math.sqrt(3) } : { across: 0, rows: 0 };
+            const positions = rowsAlongLength
+                ? this.hexLayerPositions(carton.length, carton.breadth, diameter, offset.across, offset.rows)
+                : this.hexLayerPositions(carton.breadth, carton.length, diameter, offset.across, offset.rows).map(({ x, y }) => ({ x: y, y: x }));
+            if (layer === 0) itemsPerLayer = positions.length;
+
+            for (const { x, y } of positions) {
+                if (packedItems.length >= maxItems) break;
+                packedItems.push(new PackedItem(product, new Position3D(x, y, layer * pitch), orientation.index, layer + 1));
+            }
+        }
+
+        if (packedItems.length <= boundingBoxItems) return null;
+
+        const layers = Math.max(...packedItems.map(item => item.stackLevel));
+        return {
+            itemsPacked: packedItems.length,
+            itemsPerLayer,
+            layers,
+            arrangement: {
+                lengthwise: rowsAlongLength ? Math.floor(carton.length / diameter) : this.countHexRows(carton.length, diameter),
+                breadthwise: rowsAlongLength ? this.countHexRows(carton.breadth, diameter) : Math.floor(carton.breadth / diameter),
+                layers,
+                pattern: 'hexagonal'
+            },
+            residualItems: 0,
+            residualBlocks: [],
+            boundingBoxItems,
+            packedItems,
+            stackingInfo: this.analyzeStacking(packedItems, product, carton),
+            spaceUtilization: this.calculateSpaceUtilization(packedItems, carton),
+            centerOfMass: this.calculateCenterOfMass(packedItems, carton)
+        };
+    }
+
+    // Bounding-box corners of circles in staggered rows: rows run along the
+    // first axis, every other row shifted by a radius
+    hexLayerPositions(rowLength, span, diameter, offsetAlong = 0, offsetAcross = 0) {
+        const radius = diameter / 2;
+        const rowPitch = diameter * Math.sqrt(3) / 2;
+        const positions = [];
+
+        for (let row = 0; ; row++) {
+            const y = offsetAcross + row * rowPitch;
+            if (y + diameter > span + 1e-9) break;
+
+            const shift = (offsetAlong + (row % 2) * radius) % diameter;
+            for (let x = shift; x + diameter <= rowLength + 1e-9; x += diameter) {
+                positions.push({ x, y });
+            }
+        }
+
+        return positions;
+    }
+
+    countHexRows(span, diameter) {
+        return span < diameter ? 0 : Math.floor((span - diameter) / (diameter * Math.sqrt(3) / 2) + 1e-9) + 1;
+    }
+
+    // Recursively fill the slabs to the right of, in front of and above a full
+    // grid, each with its own best orientation (mixed-orientation blocks)
+    fillResidualSpaces(product, carton, gridExtent, gridLayers, orientation, maxQuantity, maxWeight, depth) {
+        const container = {
+            x: 0, y: 0, z: 0,
+            length: carton.length,
+            breadth: carton.breadth,
+            height: carton.height,
+            stackLevel: 0,
+            maxLoadPerArea: carton.maxLoadPerArea
+        };
+        const topLoadLimit = this.calculateTopLoadLimit(product, orientation.dims, gridLayers, carton.maxLoadPerArea);
+        const spaces = this.guillotineCut(container, gridExtent, ['x', 'y', 'z'])
+            // The slab above the grid rests on it, so it is only usable while the stack can take more load
+            .filter(space => space.axis !== 'z' || (!product.isFragile && topLoadLimit > 0));
+
+        const packedItems = [];
+        const blocks = [];
+        let remainingQuantity = maxQuantity;
+        let remainingWeight = maxWeight;
+
+        for (const space of spaces) {
+            if (remainingQuantity <= 0 || remainingWeight < product.weight) break;
+
+            const stackLevel = space.axis === 'z' ? gridLayers : 0;
+            const spaceCarton = {
+                length: space.length,
+                breadth: space.breadth,
+                height: space.height,
+                maxWeight: remainingWeight,
+                volume: space.length * space.breadth * space.height,
+                maxStackLayers: Math.max(0, carton.maxStackLayers - stackLevel),
+                maxLoadPerArea: space.axis === 'z' ? topLoadLimit : space.maxLoadPerArea,
+                baseHeight: (carton.baseHeight || 0) + space.z
+            };
+
+            let best = null;
+            for (const orientation of this.getAllOrientations(product)) {
+                const layout = this.calculateOptimal3DLayout(product, spaceCarton, orientation, remainingQuantity, depth + 1);
+                if (layout && (!best || layout.itemsPacked > best.layout.itemsPacked)) {
+                    best = { layout, orientation };
+                }
+            }
+
+            if (!best) continue;
+
+            for (const item of best.layout.packedItems) {
+                item.position = new Position3D(item.position.x + space.x, item.position.y + space.y, item.position.z + space.z);
+                item.stackLevel += stackLevel;
+                item.fromResidual = true;
+            }
+
+            packedItems.push(...best.layout.packedItems);
+            blocks.push({
+                orientation: best.orientation.name,
+                orientationIndex: best.orientation.index,
+                itemsPacked: best.layout.itemsPacked,
+                origin: new Position3D(space.x, space.y, space.z),
+                arrangement: best.layout.arrangement
+            });
+            remainingQuantity -= best.layout.itemsPacked;
+            remainingWeight -= best.layout.itemsPacked * product.weight;
+        }
+
+        return { packedItems, blocks };
+    }
+
+    // Generate detailed 3D layout with positions
+    generate3DLayout(product, carton, orientation, itemsPerLength, itemsPerBreadth, totalItems, pLength, pBreadth, pHeight) {
+        const packedItems = [];
+        let itemIndex = 0;
+
+        for (let layer = 0; layer < Math.ceil(totalItems / (itemsPerLength * itemsPerBreadth)); layer++) {
+            const z = layer * pHeight;
+
+            for (let breadthIndex = 0; breadthIndex < itemsPerBreadth && itemIndex < totalItems; breadthIndex++) {
+                const y = breadthIndex * pBreadth;
+
+                for (let lengthIndex = 0; lengthIndex < itemsPerLength && itemIndex < totalItems; lengthIndex++) {
+                    const x = lengthIndex * pLength;
+
+                    const position = new Position3D(x, y, z);
+                    const packedItem = new PackedItem(product, position, orientation.index, layer + 1);
+
+                    packedItems.push(packedItem);
+                    itemIndex++;
+                }
+            }
+        }
+
+        return packedItems;
+    }
+
+    // Calculate maximum stack layers considering fragility and weight
+    // The bottom item of a stack carries every layer above it, and the whole
+    // stack presses on the surface underneath, which may have a load limit.
+    // A stack reaches no higher than the product's maxStackHeight above the
+    // carton floor; baseHeight is where a free space starts
+    calculateMaxStackLayers(product, carton, itemDims) {
+        const [pLength, pBreadth, pHeight] = itemDims;
+        const baseHeight = carton.baseHeight || 0;
+        const maxLayersByHeight = Math.floor(carton.height / pHeight);
+        const maxLayersByStackHeight = Math.max(
+            baseHeight > 1e-9 ? 0 : 1,  // One item on the carton floor is not a stack
+            Math.floor((product.maxStackHeight - baseHeight) / pHeight + 1e-9)
+        );
+        const maxLayersByWeight = Math.floor(product.maxStackWeight / product.weight + 1e-9) + 1;
+        const maxLayersBySupport = carton.maxLoadPerArea === undefined
+            ? Infinity
+            : Math.floor(carton.maxLoadPerArea * pLength * pBreadth / product.weight + 1e-9);
+        const maxLayersByFragility = product.isFragile ? Math.min(3, maxLayersByHeight) : maxLayersByHeight;
+
+        return Math.min(maxLayersByHeight, maxLayersByStackHeight, maxLayersByWeight, maxLayersBySupport, maxLayersByFragility, carton.maxStackLayers);
+    }
+
+    // Load per unit of footprint area that can still go on top of a block: the
+    // lesser of what its bottom items can bear and what the surface under it accepts
+    calculateTopLoadLimit(product, itemDims, layers, surfaceLimit) {
+        const footprintArea = itemDims[0] * itemDims[1];
+        const bearable = (product.maxStackWeight - (layers - 1) * product.weight) / footprintArea;
+        const fromBelow = surfaceLimit === undefined ? Infinity : surfaceLimit - layers * product.weight / footprintArea;
+        return Math.min(bearable, fromBelow);
+    }
+
+    // Items directly underneath each item that is off the carton floor, with
+    // the contact area of each
+    findItemSupports(packedItems) {
+        const overlap = (a, b) => {
+            const length = Math.min(a.position.x + a.dimensions.length, b.position.x + b.dimensions.length) - Math.max(a.position.x, b.position.x);
+            const breadth = Math.min(a.position.y + a.dimensions.breadth, b.position.y + b.dimensions.breadth) - Math.max(a.position.y, b.position.y);
+            return length > 1e-9 && breadth > 1e-9 ? length * breadth : 0;
+        };
+
+        // Index items by the height of their top face to find supports quickly
+        const byTop = new Map();
+        for (const item of packedItems) {
+            const key = Math.round((item.position.z + item.dimensions.height) * 1e6);
+            if (!byTop.has(key)) byTop.set(key, []);
+            byTop.get(key).push(item);
+        }
+
+        const supportsByItem = new Map();
+        for (const item of packedItems) {
+            if (item.position.z <= 1e-9) continue;
+
+            supportsByItem.set(item, (byTop.get(Math.round(item.position.z * 1e6)) || [])
+                .map(below => ({ below, area: overlap(item, below) }))
+                .filter(support => support.area > 0));
+        }
+
+        return supportsByItem;
+    }
+
+    // Weight resting on each packed item, passed down from the top in
+    // proportion to the contact area with the items underneath
+    checkItemLoads(packedItems) {
+        const supportsByItem = this.findItemSupports(packedItems);
+        packedItems.forEach(item => { item.loadAbove = 0; });
+
+        const topDown = [...packedItems].sort((a, b) => b.position.z - a.position.z);
+        for (const item of topDown) {
+            const supports = supportsByItem.get(item);
+            if (!supports) continue;
+            const supportedArea = supports.reduce((sum, support) => sum + support.area, 0);
+
+            for (const { below, area } of supports) {
+                below.loadAbove += (item.weight + item.loadAbove) * area / supportedArea;
+            }
+        }
+
+        const overloaded = packedItems.filter(item => item.loadAbove > item.maxLoad + 1e-9);
+        return {
+            maxLoadAbove: Math.round(Math.max(0, ...packedItems.map(item => item.loadAbove)) * 1000) / 1000,
+            loadViolations: overloaded.length
+        };
+    }
+
+    // Hard stability constraints (options.stability). A carton layout that
+    // breaks one is recorded in rejectedLayouts and not used; an off-centre
+    // load is first shifted towards the middle of the carton
+    applyStabilityConstraints(result) {
+        if (!this.options.stability || !result) return result;
+
+        let violations = this.findStabilityViolations(result);
+        if (violations.some(violation => violation.type === 'centerOfMassOffCentre')) {
+            this.centreCartonLoad(result);
+            violations = this.findStabilityViolations(result);
+        }
+        if (violations.length === 0) return result;
+
+        this.recordRejectedLayout({
+            cartonId: result.carton.id,
+            itemsPacked: result.itemsPacked,
+            reasons: violations.map(violation => violation.reason)
+        });
+        return null;
+    }
+
+    // A product that would have fitted in the carton, but only where a
+    // stability rule forbids it, is recorded with the rules it broke
+    recordRefusedPlacement(carton, product, placements, refused) {
+        const reasons = [];
+        if (refused.heavyOnLight) {
+            reasons.push(`${product.name} would rest on lighter items`);
+        }
+        if (refused.insufficientSupport) {
+            reasons.push(`${product.name} would have less than ${Math.round(this.options.stability.minSupportRatio * 100)}% of its base supported`);
+        }
+        if (reasons.length === 0) return;
+
+        this.recordRejectedLayout({
+            cartonId: carton.id,
+            productId: product.id,
+            itemsPacked: placements.reduce((sum, placement) => sum + placement.layout.itemsPacked, 0),
+            reasons
+        });
+    }
+
+    // Repeats of the same rejection are counted rather than listed again
+    recordRejectedLayout(rejection) {
+        const key = `${rejection.cartonId}|${rejection.productId || ''}|${rejection.itemsPacked}|${rejection.reasons.join('|')}`;
+        const existing = this.rejectedLayouts.find(rejected => rejected.key === key);
+        if (existing) {
+            existing.occurrences++;
+        } else if (this.rejectedLayouts.length < 50) {
+            this.rejectedLayouts.push({ key, ...rejection, occurrences: 1 });
+        }
+    }
+
+    findStabilityViolations(result) {
+        const { minSupportRatio, maxCenterOfMassHeight, maxCenterOfMassOffset, allowHeavyOnLight } = this.options.stability;
+        const { carton, packedItems } = result;
+        const violations = [];
+
+        let unsupported = 0;
+        let heavyOnLight = 0;
+        for (const [item, supports] of this.findItemSupports(packedItems)) {
+            const baseArea = item.dimensions.length * item.dimensions.breadth;
+            const supportedArea = supports.reduce((sum, support) => sum + support.area, 0);
+            if (supportedArea / baseArea < minSupportRatio - 1e-9) unsupported++;
+            if (!allowHeavyOnLight && supports.some(({ below }) => item.weight > below.weight + 1e-9)) heavyOnLight++;
+        }
+        if (unsupported > 0) {
+            violations.push({
+                type: 'insufficientSupport',
+                reason: `${unsupported} item(s) have less than ${Math.round(minSupportRatio * 100)}% of their base supported`
+            });
+        }
+        if (heavyOnLight > 0) {
+            violations.push({ type: 'heavyOnLight', reason: `${heavyOnLight} item(s) rest on lighter items` });
+        }
+
+        const com = this.calculateCenterOfMass(packedItems, carton);
+        const heightRatio = com.z / carton.height;
+        if (heightRatio > maxCenterOfMassHeight + 1e-9) {
+            violations.push({
+                type: 'centerOfMassTooHigh',
+                reason: `Centre of mass at ${Math.round(heightRatio * 100)}% of carton height (maximum ${Math.round(maxCenterOfMassHeight * 100)}%)`
+            });
+        }
+        const offset = Math.max(
+            Math.abs(com.x - carton.length / 2) / carton.length,
+            Math.abs(com.y - carton.breadth / 2) / carton.breadth
+        );
+        if (offset > maxCenterOfMassOffset + 1e-9) {
+            violations.push({
+                type: 'centerOfMassOffCentre',
+                reason: `Centre of mass ${Math.round(offset * 100)}% of the carton width off centre (maximum ${Math.round(maxCenterOfMassOffset * 100)}%)`
+            });
+        }
+
+        return violations;
+    }
+
+    // Slide the whole load across the floor so its centre of mass sits as
+    // close to the middle as the carton walls allow. Stacking is unchanged
+    centreCartonLoad(result) {
+        const { carton, packedItems } = result;
+        const com = this.calculateCenterOfMass(packedItems, carton);
+        const minX = Math.min(...packedItems.map(item => item.position.x));
+        const minY = Math.min(...packedItems.map(item => item.position.y));
+        const maxX = Math.max(...packedItems.map(item => item.position.x + item.dimensions.length));
+        const maxY = Math.max(...packedItems.map(item => item.position.y + item.dimensions.breadth));
+        const dx = Math.min(Math.max(carton.length / 2 - com.x, -minX), carton.length - maxX);
+        const dy = Math.min(Math.max(carton.breadth / 2 - com.y, -minY), carton.breadth - maxY);
+
+        for (const item of packedItems) {
+            item.position = new Position3D(item.position.x + dx, item.position.y + dy, item.position.z);
+        }
+        for (const content of result.products) {
+            for (const block of content.blocks) {
+                block.origin = new Position3D(block.origin.x + dx, block.origin.y + dy, block.origin.z);
+            }
+        }
+
+        // Free spaces move with the load and are trimmed at the carton walls
+        result.freeSpaces = result.freeSpaces
+            .map(space => {
+                const x = Math.max(0, space.x + dx);
+                const y = Math.max(0, space.y + dy);
+                return {
+                    ...space,
+                    x,
+                    y,
+                    length: Math.min(carton.length, space.x + dx + space.length) - x,
+                    breadth: Math.min(carton.breadth, space.y + dy + space.breadth) - y
+                };
+            })
+            .filter(space => space.length > 1e-9 && space.breadth > 1e-9);
+        result.layout.centerOfMass = this.calculateCenterOfMass(packedItems, carton);
+    }
+
+    // Get all possible orientations
+    getAllOrientations(product) {
+        const orientations = [
+            { dims: [product.length, product.breadth, product.height], name: 'L×B×H', index: 0 },
+            { dims: [product.length, product.height, product.breadth], name: 'L×H×B', index: 1 },
+            { dims: [product.breadth, product.length, product.height], name: 'B×L×H', index: 2 },
+            { dims: [product.breadth, product.height, product.length], name: 'B×H×L', index: 3 },
+            { dims: [product.height, product.length, product.breadth], name: 'H×L×B', index: 4 },
+            { dims: [product.height, product.breadth, product.length], name: 'H×B×L', index: 5 }
+        ];
+
+        if (!product.canRotate) return [orientations[0]];
+        if (product.allowedOrientations) {
+            return orientations.filter(orientation => product.allowedOrientations.includes(orientation.index));
+        }
+        // Upright orientations keep the product's height vertical
+        if (product.thisSideUp) return [orientations[0], orientations[2]];
+        return orientations;
+    }
+
+    // Sort cartons by priority considering multiple factors
+    sortCartonsByPriority(cartons) {
+        return [...cartons].sort((a, b) => {
+            // Multi-criteria sorting
+            const scoreA = this.calculateCartonScore(a);
+            const scoreB = this.calculateCartonScore(b);
+            return scoreB - scoreA;
+        });
+    }
+
+    // Calculate carton selection score
+    calculateCartonScore(carton) {
+        const costFactor = 1 / (carton.cost + 1); // Lower cost = higher score
+        const priorityFactor = carton.priority;
+        const popularityFactor = carton.popularity + 1;
+        const availabilityFactor = carton.availableQuantity > 0 ? 1 : 0;
+
+        return (costFactor * 0.3 + priorityFactor * 0.4 + popularityFactor * 0.2 + availabilityFactor * 0.1);
+    }
+
+    // Calculate packing cost
+    calculatePackingCost(layout, products, carton) {
+        const baseCost = carton.cost;
+        const shippingCost = this.calculateShippingCost(layout, carton);
+        const inefficiencyPenalty = (1 - layout.spaceUtilization) * carton.cost * 0.5;
+        const fragilityPenalty = this.calculateFragilityPenalty(products);
+
+        return baseCost + shippingCost + inefficiencyPenalty + fragilityPenalty;
+    }
+
+    // Rate card quote for the carton as packed, or the carton's flat shipping cost
+    calculateShippingCost(layout, carton) {
+        if (!this.options.shippingQuote) {
+            return carton.shippingCost;
+        }
+        const actualWeight = layout.packedItems.reduce((sum, item) => sum + item.weight, 0);
+        return this.options.shippingQuote(carton, actualWeight);
+    }
+
+    // Fragile products stacked more than two layers high carry a damage risk
+    calculateFragilityPenalty(products) {
+        return products.reduce((sum, content) => (
+            content.product.isFragile && content.layers > 2 ? sum + content.product.damageCost * 0.1 : sum
+        ), 0);
+    }
+
+    // Calculate various efficiency and quality metrics
+    calculateEfficiency(layout, carton) {
+        const totalVolume = layout.packedItems.reduce((sum, item) => sum + item.volume, 0);
+        const totalWeight = layout.packedItems.reduce((sum, item) => sum + item.weight, 0);
+
+        return {
+            volumeEfficiency: totalVolume / carton.volume,
+            spaceUtilization: layout.spaceUtilization,
+            weightUtilization: totalWeight / carton.maxWeight
+        };
+    }
+
+    calculateSpaceUtilization(packedItems, carton) {
+        const totalItemVolume = packedItems.reduce((sum, item) => sum + item.volume, 0);
+        return totalItemVolume / carton.volume;
+    }
+
+    calculateCenterOfMass(packedItems, carton) {
+        if (packedItems.length === 0) return new Position3D();
+
+        const totalWeight = packedItems.reduce((sum, item) => sum + item.weight, 0);
+        let weightedX = 0, weightedY = 0, weightedZ = 0;
+
+        for (const item of packedItems) {
+            const centerX = item.position.x + item.dimensions.length / 2;
+            const centerY = item.position.y + item.dimensions.breadth / 2;
+            const centerZ = item.position.z + item.dimensions.height / 2;
+
+            weightedX += centerX * item.weight;
+            weightedY += centerY * item.weight;
+            weightedZ += centerZ * item.weight;
+        }
+
+        return new Position3D(
+            weightedX / totalWeight,
+            weightedY / totalWeight,
+            weightedZ / totalWeight
+        );
+    }
+
+    // Additional helper methods
+    calculateWasteRatio(layout, carton) {
+        return 1 - layout.spaceUtilization;
+    }
+
+    calculatePackingScore(packingResult) {
+        const efficiency = packingResult.efficiency.volumeEfficiency;
+        const utilization = packingResult.efficiency.spaceUtilization;
+        const costFactor = 1 / (packingResult.cost + 1);
+
+        return efficiency * 0.4 + utilization * 0.4 + costFactor * 0.2;
+    }
+
+    calculateLayoutScore(layout, product, carton) {
+        const spaceScore = layout.spaceUtilization;
+        const stackingScore = this.calculateStackingScore(layout, product);
+        const stabilityScore = this.calculateStabilityScore(layout, carton);
+
+        return spaceScore * 0.5 + stackingScore * 0.3 + stabilityScore * 0.2;
+    }
+
+    calculateStackingScore(layout, product) {
+        if (layout.layers <= 1) return 0.5; // Penalize single layer
+        if (product.isFragile && layout.layers > 3) return 0.3; // Penalize over-stacking fragile items
+        return Math.min(1.0, layout.layers / 5); // Reward efficient stacking
+    }
+
+    calculateStabilityScore(layout, carton) {
+        // Add null checks
+        if (!layout || !layout.centerOfMass || !carton) {
+            return 0.5; // Default stability score
+        }
+
+        // Simple stability based on center of mass
+        const com = layout.centerOfMass;
+
+        const centerX = carton.length / 2;
+        const centerY = carton.breadth / 2;
+        const centerZ = carton.height / 2;
+
+        const distanceFromCenter = Math.sqrt(
+            Math.pow(com.x - centerX, 2) +
+            Math.pow(com.y - centerY, 2) +
+            Math.pow(com.z - centerZ, 2)
+        );
+
+        const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY + centerZ * centerZ);
+        return 1 - (distanceFromCenter / maxDistance);
+    }
+
+    analyzeStacking(packedItems, product, carton) {
+        const layers = Math.max(...packedItems.map(item => item.stackLevel));
+        const itemsPerLayer = packedItems.filter(item => item.stackLevel === 1).length;
+        const averageWeightPerLayer = itemsPerLayer * product.weight;
+        const maxSafeWeight = product.maxStackWeight;
+
+        return {
+            totalLayers: layers,
+            itemsPerLayer: itemsPerLayer,
+            averageWeightPerLayer: averageWeightPerLayer,
+            stackingSafety: averageWeightPerLayer <= maxSafeWeight,
+            stackingEfficiency: layers > 1 ? 1 : 0.5,
+            isFragileStacking: product.isFragile && layers > 1
+        };
+    }
+
+    // Carton-level stacking summary across every product in the carton
+    analyzeCartonStacking(packedItems, products) {
+        const layers = Math.max(...packedItems.map(item => item.stackLevel));
+        const itemsPerLayer = packedItems.filter(item => item.stackLevel === 1).length;
+        const totalWeight = packedItems.reduce((sum, item) => sum + item.weight, 0);
+
+        return {
+            totalLayers: layers,
+            itemsPerLayer: itemsPerLayer,
+            averageWeightPerLayer: totalWeight / layers,
+            stackingSafety: products.every(content => content.blocks.every(block => block.layout.stackingInfo.stackingSafety)),
+            stackingEfficiency: layers > 1 ? 1 : 0.5,
+            isFragileStacking: products.some(content => content.product.isFragile && content.layers > 1)
+        };
+    }
+
+    canFitOrientation(product, carton, orientationIndex) {
+        const orientation = this.getAllOrientations(product).find(o => o.index === orientationIndex);
+        if (!orientation) return false;
+        const [pLength, pBreadth, pHeight] = orientation.dims;
+        return pLength <= carton.length && pBreadth <= carton.breadth && pHeight <= carton.height;
+    }
+
+    // Best-effort plan under a carton budget: keep the fullest cartons of the
+    // unconstrained plan, or greedily take the carton that packs the most items at
+    // each step, whichever leaves fewer items behind (then whichever is cheaper)
+    applyCartonBudget(products, cartons, results, maxCartons) {
+        const fullest = [...results]
+            .sort((a, b) => b.itemsPacked - a.itemsPacked || a.cost - b.cost)
+            .slice(0, maxCartons);
+        const truncated = results.filter(result => fullest.includes(result));
+        const greedy = this.packMostItemsFirst(products, cartons, maxCartons);
+
+        const itemsIn = plan => plan.reduce((sum, result) => sum + result.itemsPacked, 0);
+        const costOf = plan => plan.reduce((sum, result) => sum + result.cost, 0);
+
+        if (itemsIn(greedy) > itemsIn(truncated) ||
+            (itemsIn(greedy) === itemsIn(truncated) && costOf(greedy) < costOf(truncated))) {
+            return greedy;
+        }
+        return truncated;
+    }
+
+    // Greedy maximum coverage: each carton is the one that takes the most items
+    packMostItemsFirst(products, cartons, maxCartons) {
+        const demand = this.createDemand(products);
+        const stock = this.createCartonStock(cartons);
+        const results = [];
+
+        while (results.length < maxCartons && this.hasRemainingDemand(demand)) {
+            let bestFit = null;
+
+            for (const carton of cartons) {
+                if (stock.get(carton) <= 0) continue;
+
+                const candidates = [
+                    this.packMixedCarton(demand, carton, 'block'),
+                    this.packMixedCarton(demand, carton, 'guillotine'),
+                    this.packSkylineCarton(demand, carton)
+                ];
+                for (const packingResult of candidates) {
+                    if (!packingResult || packingResult.itemsPacked === 0) continue;
+                    if (!bestFit || packingResult.itemsPacked > bestFit.itemsPacked ||
+                        (packingResult.itemsPacked === bestFit.itemsPacked && packingResult.cost < bestFit.cost)) {
+                        bestFit = packingResult;
+                    }
+                }
+            }
+
+            if (!bestFit) break;
+
+            this.commitCarton(bestFit, demand, stock);
+            results.push(bestFit);
+        }
+
+        return results;
+    }
+
+    // Group reduction: repack the contents of partially filled cartons into fewer
+    // or cheaper cartons. Merges two cartons into one where possible, otherwise
+    // moves a single carton's contents into a cheaper carton that still holds them
+    consolidateCartons(results, cartons) {
+        const stock = this.createCartonStock(cartons);
+        for (const result of results) {
+            stock.set(result.carton, stock.get(result.carton) - 1);
+        }
+
+        const costBefore = results.reduce((sum, result) => sum + result.cost, 0);
+        let current = [...results];
+        const actions = [];
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+
+            // Emptiest cartons are the best candidates for merging
+            const candidates = [...current]
+                .filter(result => result.efficiency.volumeEfficiency < 1)
+                .sort((a, b) => a.efficiency.volumeEfficiency - b.efficiency.volumeEfficiency)
+                .slice(0, 10);
+
+            const groups = [];
+            for (let i = 0; i < candidates.length; i++) {
+                for (let j = i + 1; j < candidates.length; j++) {
+                    groups.push([candidates[i], candidates[j]]);
+                }
+            }
+            groups.push(...candidates.map(result => [result]));
+
+            for (const group of groups) {
+                const replacement = this.repackGroup(group, cartons, stock);
+                if (!replacement) continue;
+
+                const groupCost = group.reduce((sum, result) => sum + result.cost, 0);
+                const costSaved = groupCost - replacement.cost;
+                if (group.length === 1 && costSaved <= 1e-9) continue;
+                if (group.length > 1 && costSaved < -1e-9) continue;
+
+                for (const result of group) {
+                    stock.set(result.carton, stock.get(result.carton) + 1);
+                }
+                stock.set(replacement.carton, stock.get(replacement.carton) - 1);
+
+                const position = current.indexOf(group[0]);
+                current = current.filter(result => !group.includes(result));
+                current.splice(Math.min(position, current.length), 0, replacement);
+
+                actions.push({
+                    type: group.length > 1 ? 'MERGE' : 'DOWNSIZE',
+                    fromCartons: group.map(result => result.carton.id),
+                    toCarton: replacement.carton.id,
+                    itemsMoved: replacement.itemsPacked,
+                    costSaved: Math.round(costSaved * 100) / 100
+                });
+                improved = true;
+                break;
+            }
+        }
+
+        const costAfter = current.reduce((sum, result) => sum + result.cost, 0);
+
+        return {
+            results: current,
+            consolidation: {
+                applied: actions.length > 0,
+                cartonsBefore: results.length,
+                cartonsAfter: current.length,
+                cartonsSaved: results.length - current.length,
+                costBefore: Math.round(costBefore * 100) / 100,
+                costAfter: Math.round(costAfter * 100) / 100,
+                costSaved: Math.round((costBefore - costAfter) * 100) / 100,
+                actions
+            }
+        };
+    }
+
+    // Find the cheapest single carton that holds the whole contents of a group
+    repackGroup(group, cartons, stock) {
+        const contents = new Map();
+        for (const result of group) {
+            for (const content of result.products) {
+                contents.set(content.product, (contents.get(content.product) || 0) + content.itemsPacked);
+            }
+        }
+        const totalItems = group.reduce((sum, result) => sum + result.itemsPacked, 0);
+        const demand = this.createDemand([...contents.keys()]).map(entry => ({
+            product: entry.product,
+            remaining: contents.get(entry.product)
+        }));
+
+        let best = null;
+        for (const carton of cartons) {
+            // Cartons in the group are freed up by the repack
+            const available = stock.get(carton) + group.filter(result => result.carton === carton).length;
+            if (available <= 0) continue;
+
+            for (const strategy of ['block', 'guillotine']) {
+                const packed = this.packMixedCarton(demand, carton, strategy);
+                if (packed && packed.itemsPacked === totalItems && (!best || packed.cost < best.cost)) {
+                    best = packed;
+                }
+            }
+        }
+
+        return best;
+    }
+
+    evaluatePackingQuality(results) {
+        if (!results || results.length === 0) return -Infinity;
+
+        const totalItems = results.reduce((sum, result) => sum + result.itemsPacked, 0);
+        const totalCost = results.reduce((sum, result) => sum + result.cost, 0);
+        const avgEfficiency = results.reduce((sum, result) => sum + result.efficiency.volumeEfficiency, 0) / results.length;
+
+        return totalItems * 100 - totalCost - (1 - avgEfficiency) * 50;
+    }
+
+    // Fallback basic packing
+    basicPacking(products, cartons) {
+        // Simplified version for fallback
+        return this.firstFitDecreasing(products, cartons);
+    }
+
+    packWithGuillotineConstraints(demand, carton) {
+        // Best-fit free spaces with the cut chosen per placement
+        const result = this.packMixedCarton(demand, carton, 'guillotine');
+        if (result) {
+            result.wasteRatio = this.calculateWasteRatio(result.layout, carton);
+        }
+        return result;
+    }
+}
+
+// Enhanced main packing function
+function calculateOptimalPacking(products, cartons, options = {}) {
+    const {
+        algorithm = 'hybrid',
+        costOptimization = true,
+        groupReduction = true,
+        fragileHandling = true,
+        maxCartons = Infinity,
+        residualFill = false,
+        exactTimeLimitMs,
+        exactMaxItems,
+        metaheuristicIterations,
+        metaheuristicTimeLimitMs,
+        seed,
+        deterministic = false,
+        stability,
+        originPincode,
+        destinationPincode
+    } = options;
+
+    // A rate card quotes shipping for its own carrier and service
+    const rateCard = options.rateCard ? normalizeRateCard(options.rateCard) : null;
+    const carrier = rateCard ? rateCard.carrier : options.carrier;
+    const serviceType = rateCard ? rateCard.serviceType : options.serviceType;
+
+    // Fail fast on an unknown carrier, service or uncovered route before packing
+    getCarrierRule(carrier, serviceType);
+    const shippingZone = rateCard ? resolveZone(rateCard, originPincode, destinationPincode) : null;
+    // Cartons ship at their outer size and at contents plus tare weight
+    const shippedAs = (carton, contentsWeight) => ({
+        ...(carton.outerDimensions || { length: carton.length, breadth: carton.breadth, height: carton.height }),
+        actualWeight: contentsWeight + (carton.tareWeight || 0)
+    });
+    const quoteCarton = (carton, contentsWeight) => quoteShipment(rateCard, shippedAs(carton, contentsWeight), { originPincode, destinationPincode });
+
+    // Initialize the advanced packer
+    const packer = new Advanced3DBinPacker({
+        residualFill,
+        exactTimeLimitMs,
+        exactMaxItems,
+        metaheuristicIterations,
+        metaheuristicTimeLimitMs,
+        seed,
+        deterministic,
+        stability,
+        shippingQuote: rateCard ? (carton, contentsWeight) => quoteCarton(carton, contentsWeight).total : null
+    });
+
+    // Ensure products is an array
+    const productArray = Array.isArray(products) ? products : [products];
+
+    // Create working copy of cartons with quantities
+    const workingCartons = cartons.map((carton, index) => ({
+        ...carton,
+        originalIndex: index,
+        availableQuantity: carton.availableQuantity || 1,
+        // Quoted cost of shipping the carton empty, used to rank carton combinations
+        ...(rateCard && { shippingCost: quoteCarton(carton, 0).total })
+    }));
+
+    // Pack every product together so different products can share a carton
+    let packingResults = packer.packItems(productArray, workingCartons, algorithm);
+
+    // Carton budget: keep to maxCartons, packing as many items as possible within it
+    const cartonLimit = Number(maxCartons) > 0 ? Math.floor(Number(maxCartons)) : Infinity;
+    const cartonLimitReached = packingResults.length > cartonLimit;
+    if (cartonLimitReached) {
+        packingResults = packer.applyCartonBudget(productArray, workingCartons, packingResults, cartonLimit);
+    }
+
+    // Group reduction optimization: consolidate partially filled cartons
+    let consolidation = { applied: false };
+    if (groupReduction && packingResults.length > 0) {
+        const consolidated = packer.consolidateCartons(packingResults, workingCartons);
+        packingResults = consolidated.results;
+        consolidation = consolidated.consolidation;
+    }
+
+    // Compare the plan the caller gets with one for bounding boxes
+    const shapePacking = compareWithBoundingBoxes(productArray, workingCartons, packingResults, packer.options, algorithm, {
+        cartonLimit: cartonLimitReached ? cartonLimit : Infinity,
+        groupReduction
+    });
+
+    const allResults = [];
+    const packedQuantities = new Map();
+
+    for (const result of packingResults) {
+        if (result.itemsPacked <= 0) continue;
+
+        const totalWeight = result.packedItems.reduce((sum, item) => sum + item.weight, 0);
+        const totalItemVolume = result.packedItems.reduce((sum, item) => sum + item.volume, 0);
+        const shippingQuote = rateCard ? quoteCarton(result.carton, totalWeight) : null;
+
+        for (const content of result.products) {
+            packedQuantities.set(content.product, (packedQuantities.get(content.product) || 0) + content.itemsPacked);
+        }
+
+        allResults.push({
+            cartonId: result.carton.id,
+            cartonDetails: {
+                id: result.carton.id,
+                name: result.carton.name,
+                length: result.carton.length,
+                breadth: result.carton.breadth,
+                height: result.carton.height,
+                maxWeight: result.carton.maxWeight,
+                volume: result.carton.volume,
+                cost: result.carton.cost,
+                priority: result.carton.priority,
+                tareWeight: result.carton.tareWeight || 0,
+                ...(result.carton.outerDimensions && { outerDimensions: result.carton.outerDimensions })
+            },
+            itemsPacked: result.itemsPacked,
+            grossWeight: Math.round(shippedAs(result.carton, totalWeight).actualWeight * 1000) / 1000,
+
+            // Every product packed into this carton with the blocks it occupies
+            products: result.products.map(content => ({
+                productId: content.product.id,
+                productName: content.product.name,
+                itemsPacked: content.itemsPacked,
+                blocks: content.blocks.map(block => ({
+                    itemsPacked: block.layout.itemsPacked,
+                    position: block.origin,
+                    orientation: block.orientation.name,
+                    orientationIndex: block.orientationIndex,
+                    dimensionsUsed: {
+                        length: block.orientation.dims[0],
+                        breadth: block.orientation.dims[1],
+                        height: block.orientation.dims[2]
+                    },
+                    arrangement: block.layout.arrangement,
+                    arrangementPattern: `${block.layout.arrangement.lengthwise} × ${block.layout.arrangement.breadthwise} × ${block.layout.arrangement.layers}`,
+                    stackingPattern: {
+                        itemsPerLayer: block.layout.itemsPerLayer,
+                        totalLayers: block.layout.layers,
+                        maxSafeStack: content.product.maxStackHeight,
+                        isOptimalStacking: block.layout.layers > 1
+                    },
+                    // Items placed around the grid by the residual-space fill
+                    residualItems: block.layout.residualItems || 0,
+                    residualBlocks: block.layout.residualBlocks || [],
+                    // Round items in staggered rows, against a grid of bounding boxes
+                    ...(block.layout.boundingBoxItems !== undefined && { boundingBoxItems: block.layout.boundingBoxItems })
+                }))
+            })),
+
+            // Enhanced metrics
+            efficiency: {
+                volumeEfficiency: Math.round(result.efficiency.volumeEfficiency * 1000) / 10,
+                spaceUtilization: Math.round(result.efficiency.spaceUtilization * 1000) / 10,
+                weightUtilization: Math.round(result.efficiency.weightUtilization * 1000) / 10
+            },
+
+            // Layout and stacking information
+            layout: {
+                layers: result.layout.layers,
+                blocks: result.layout.blocks,
+                centerOfMass: result.layout.centerOfMass
+            },
+
+            stackingInfo: { ...result.stackingInfo, ...packer.checkItemLoads(result.packedItems) },
+
+            // Cost analysis
+            cost: {
+                total: Math.round(result.cost * 100) / 100,
+                breakdown: {
+                    cartonCost: result.carton.cost,
+                    shippingCost: shippingQuote ? shippingQuote.total : result.carton.shippingCost,
+                    inefficiencyPenalty: Math.round((1 - result.efficiency.spaceUtilization) * result.carton.cost * 0.5 * 100) / 100,
+                    fragilityPenalty: Math.round(packer.calculateFragilityPenalty(result.products) * 100) / 100
+                }
+            },
+
+            // Item positions and the free space left over after the last placement
+            packedItems: result.packedItems,
+            freeSpaces: result.freeSpaces,
+
+            // Packing efficiency metrics
+            packingMetrics: {
+                cartonUtilization: Math.round(result.efficiency.spaceUtilization * 100) / 100,
+                wasteSpace: Math.round((result.carton.volume - totalItemVolume) * 100) / 100,
+                weightUtilized: Math.round((totalWeight / result.carton.maxWeight) * 1000) / 10,
+                spaceOptimality: result.stackingInfo.itemsPerLayer > 1 ? 'Good' : 'Could be improved'
+            },
+
+            // What the carrier bills this carton on: actual or volumetric weight
+            billableWeight: calculateBillableWeight(shippedAs(result.carton, totalWeight), { carrier, serviceType }),
+
+            // Rate card price for this carton on the requested route
+            ...(shippingQuote && { shippingQuote }),
+
+            packingOrder: allResults.length + 1,
+            // Wall-clock fields are left out of deterministic runs
+            ...(!deterministic && { timestamp: new Date().toISOString() })
+        });
+    }
+
+    const unpackedProducts = [];
+    for (const product of productArray) {
+        const remainingQuantity = product.quantity - (packedQuantities.get(product) || 0);
+
+        if (remainingQuantity > 0) {
+            unpackedProducts.push({
+                productId: product.id,
+                productName: product.name,
+                remainingQuantity: remainingQuantity,
+                reason: cartonLimitReached
+                    ? `Carton limit of ${cartonLimit} reached`
+                    : packer.rejectedLayouts.some(rejected => !rejected.productId || rejected.productId === product.id)
+                        ? 'No carton layout met the stability constraints'
+                        : 'Insufficient carton space or weight capacity'
+            });
+        }
+    }
+
+    // Calculate comprehensive summary
+    const totalItemsPacked = allResults.reduce((sum, result) => sum + result.itemsPacked, 0);
+    const totalRequestedItems = productArray.reduce((sum, product) => sum + product.quantity, 0);
+    const totalCartonsUsed = allResults.length;
+    const totalCost = allResults.reduce((sum, result) => sum + result.cost.total, 0);
+    const totalBillableWeight = allResults.reduce((sum, result) => sum + result.billableWeight.billableWeight, 0);
+    const totalShippingCost = allResults.reduce((sum, result) => sum + result.cost.breakdown.shippingCost, 0);
+    const avgVolumeEfficiency = allResults.length > 0
+        ? allResults.reduce((sum, result) => sum + result.efficiency.volumeEfficiency, 0) / allResults.length
+        : 0;
+
+    // Carton type analysis
+    const cartonTypeAnalysis = {};
+    allResults.forEach(result => {
+        const key = `${result.cartonDetails.length}×${result.cartonDetails.breadth}×${result.cartonDetails.height}`;
+        if (!cartonTypeAnalysis[key]) {
+            cartonTypeAnalysis[key] = {
+                cartonType: key,
+                count: 0,
+                totalItems: 0,
+                totalCost: 0,
+                avgEfficiency: 0,
+                cartonDetails: result.cartonDetails
+            };
+        }
+        cartonTypeAnalysis[key].count++;
+        cartonTypeAnalysis[key].totalItems += result.itemsPacked;
+        cartonTypeAnalysis[key].totalCost += result.cost.total;
+        cartonTypeAnalysis[key].avgEfficiency += result.efficiency.volumeEfficiency;
+    });
+
+    // Calculate averages for carton type analysis
+    Object.values(cartonTypeAnalysis).forEach(analysis => {
+        analysis.avgEfficiency = Math.round(analysis.avgEfficiency / analysis.count * 10) / 10;
+        analysis.avgCostPerCarton = Math.round(analysis.totalCost / analysis.count * 100) / 100;
+    });
+
+    // Advanced analytics
+    const analytics = {
+        packingQuality: {
+            overallScore: calculateOverallPackingScore(allResults),
+            wasteAnalysis: calculateWasteAnalysis(allResults),
+            stackingAnalysis: calculateStackingAnalysis(allResults),
+            costEfficiency: totalItemsPacked > 0 ? Math.round((totalCost / totalItemsPacked) * 100) / 100 : 0
+        },
+        recommendations: generatePackingRecommendations(allResults, unpackedProducts, cartons),
+        sustainability: {
+            totalWasteVolume: allResults.reduce((sum, result) => sum + result.packingMetrics.wasteSpace, 0),
+            packingDensity: totalItemsPacked > 0 ? allResults.length / totalItemsPacked : 0,
+            carbonFootprint: estimateCarbonFootprint(allResults)
+        },
+        ...(packer.options.stability && {
+            stability: {
+                constraints: packer.options.stability,
+                rejectedLayouts: packer.rejectedLayouts.map(({ key, ...rejected }) => rejected)
+            }
+        })
+    };
+
+    return {
+        packingResults: allResults,
+        unpackedProducts: unpackedProducts,
+        remainingQuantity: totalRequestedItems - totalItemsPacked,
+        summary: {
+            totalItemsRequested: totalRequestedItems,
+            totalItemsPacked: totalItemsPacked,
+            totalCartonsUsed: totalCartonsUsed,
+            packingSuccess: unpackedProducts.length === 0,
+            packingRate: Math.round((totalItemsPacked / totalRequestedItems) * 1000) / 10,
+            overallVolumeEfficiency: Math.round(avgVolumeEfficiency * 10) / 10,
+            totalCost: Math.round(totalCost * 100) / 100,
+            totalBillableWeight: Math.round(totalBillableWeight * 1000) / 1000,
+            totalShippingCost: Math.round(totalShippingCost * 100) / 100,
+            ...(rateCard && {
+                shippingRoute: {
+                    rateCard: rateCard.name,
+                    carrier: rateCard.carrier,
+                    serviceType: rateCard.serviceType,
+                    originPincode: String(originPincode),
+                    destinationPincode: String(destinationPincode),
+                    zone: shippingZone,
+                    currency: rateCard.currency
+                }
+            }),
+            cartonTypeBreakdown: Object.values(cartonTypeAnalysis),
+            algorithmUsed: packer.lastRun.algorithmUsed,
+            ...(packer.lastRun.exactSearch && { exactSearch: packer.lastRun.exactSearch }),
+            ...(packer.lastRun.metaheuristic && { metaheuristic: packer.lastRun.metaheuristic }),
+            ...(shapePacking && { shapePacking }),
+            cartonBudget: {
+                maxCartons: Number.isFinite(cartonLimit) ? cartonLimit : null,
+                limitReached: cartonLimitReached,
+                itemsLeftBehind: cartonLimitReached ? totalRequestedItems - totalItemsPacked : 0
+            },
+            optimizationApplied: {
+                costOptimization,
+                groupReduction,
+                fragileHandling,
+                residualFill,
+                deterministic,
+                stackingOptimization: true,
+                orientationOptimization: true
+            }
+        },
+        consolidation: consolidation,
+        analytics: analytics,
+        metadata: {
+            ...(!deterministic && { calculationTime: Date.now() }),
+            version: '2.0.0',
+            features: ['3D_LAYOUT', 'STACKING', 'COST_OPTIMIZATION', 'MULTI_PRODUCT', 'FRAGILE_HANDLING']
+        }
+    };
+}
+
+// For orders with cylinders or spheres, pack the same order again treating
+// every item as its bounding box and report what the real shapes gained
+function compareWithBoundingBoxes(products, cartons, results, packerOptions, algorithm, { cartonLimit = Infinity, groupReduction = false } = {}) {
+    const roundProducts = products.filter(product => product.shape !== 'cuboid');
+    if (roundProducts.length === 0) return null;
+
+    const boxes = products.map(product => Object.assign(Object.create(Product.prototype), product, {
+        shape: 'cuboid',
+        radius: null,
+        volume: product.length * product.breadth * product.height
+    }));
+
+    // The searching algorithms would double the request's time budget, so the
+    // bounding-box plan is packed with hybrid instead. It gets the same carton
+    // limit and consolidation as the plan it is compared with
+    const comparisonAlgorithm = algorithm === 'exact' || algorithm === 'metaheuristic' ? 'hybrid' : algorithm;
+    const boxPacker = new Advanced3DBinPacker(packerOptions);
+    let boxResults = boxPacker.packItems(boxes, cartons, comparisonAlgorithm);
+    if (boxResults.length > cartonLimit) {
+        boxResults = boxPacker.applyCartonBudget(boxes, cartons, boxResults, cartonLimit);
+    }
+    if (groupReduction && boxResults.length > 0) {
+        boxResults = boxPacker.consolidateCartons(boxResults, cartons).results;
+    }
+
+    const used = plan => plan.filter(result => result.itemsPacked > 0);
+    const itemsPacked = results.reduce((sum, result) => sum + result.itemsPacked, 0);
+    const boxItemsPacked = boxResults.reduce((sum, result) => sum + result.itemsPacked, 0);
+
+    return {
+        roundProducts: roundProducts.map(product => ({ productId: product.id, shape: product.shape, radius: product.radius })),
+        algorithm: comparisonAlgorithm,
+        nativeShapes: { cartonsUsed: used(results).length, itemsPacked },
+        boundingBoxes: { cartonsUsed: used(boxResults).length, itemsPacked: boxItemsPacked },
+        itemsGained: itemsPacked - boxItemsPacked,
+        cartonsSaved: used(boxResults).length - used(results).length
+    };
+}
+
+// Helper functions for advanced analytics
+function calculateOverallPackingScore(results) {
+    if (results.length === 0) return 0;
+
+    const avgVolumeEfficiency = results.reduce((sum, r) => sum + r.efficiency.volumeEfficiency, 0) / results.length;
+    const avgSpaceUtilization = results.reduce((sum, r) => sum + r.efficiency.spaceUtilization, 0) / results.length;
+    const costEfficiency = results.reduce((sum, r) => sum + (1 / (r.cost.total + 1)), 0) / results.length;
+
+    return Math.round((avgVolumeEfficiency * 0.4 + avgSpaceUtilization * 0.4 + costEfficiency * 0.2) * 100) / 100;
+}
+
+function calculateWasteAnalysis(results) {
+    const totalCartonVolume = results.reduce((sum, r) => sum + r.cartonDetails.volume, 0);
+    const totalWasteVolume = results.reduce((sum, r) => sum + r.packingMetrics.wasteSpace, 0);
+
+    return {
+        totalWasteVolume: Math.round(totalWasteVolume * 100) / 100,
+        totalCartonVolume: Math.round(totalCartonVolume * 100) / 100,
+        wastePercentage: totalCartonVolume > 0 ? Math.round((totalWasteVolume / totalCartonVolume) * 1000) / 10 : 0,
+        avgWastePerCarton: results.length > 0 ? Math.round((totalWasteVolume / results.length) * 100) / 100 : 0
+    };
+}
+
+function calculateStackingAnalysis(results) {
+    const stackingResults = results.filter(r => r.stackingInfo && r.stackingInfo.totalLayers > 1);
+    const singleLayerResults = results.filter(r => r.stackingInfo && r.stackingInfo.totalLayers === 1);
+
+    return {
+        totalStackedCartons: stackingResults.length,
+        totalSingleLayerCartons: singleLayerResults.length,
+        avgStackLayers: stackingResults.length > 0
+            ? Math.round(stackingResults.reduce((sum, r) => sum + r.stackingInfo.totalLayers, 0) / stackingResults.length * 10) / 10
+            : 0,
+        stackingEfficiencyGain: calculateStackingEfficiencyGain(stackingResults, singleLayerResults),
+        fragileItemsStacked: stackingResults.filter(r => r.stackingInfo.isFragileStacking).length
+    };
+}
+
+function calculateStackingEfficiencyGain(stackedResults, singleLayerResults) {
+    if (stackedResults.length === 0) return 0;
+
+    const avgStackedEfficiency = stackedResults.reduce((sum, r) => sum + r.efficiency.volumeEfficiency, 0) / stackedResults.length;
+    const avgSingleLayerEfficiency = singleLayerResults.length > 0
+        ? singleLayerResults.reduce((sum, r) => sum + r.efficiency.volumeEfficiency, 0) / singleLayerResults.length
+        : avgStackedEfficiency;
+
+    return Math.round((avgStackedEfficiency - avgSingleLayerEfficiency) * 100) / 100;
+}
+
+function generatePackingRecommendations(results, unpackedProducts, cartons) {
+    const recommendations = [];
+
+    // Cost optimization recommendations
+    const highCostResults = results.filter(r => r.cost.total > results.reduce((sum, r) => sum + r.cost.total, 0) / results.length);
+    if (highCostResults.length > 0) {
+        recommendations.push({
+            type: 'COST_OPTIMIZATION',
+            priority: 'HIGH',
+            message: `${highCostResults.length} cartons have above-average costs. Consider using smaller or more cost-effective cartons.`,
+            affectedCartons: highCostResults.map(r => r.cartonId)
+        });
+    }
+
+    // Efficiency recommendations
+    const lowEfficiencyResults = results.filter(r => r.efficiency.volumeEfficiency < 60);
+    if (lowEfficiencyResults.length > 0) {
+        recommendations.push({
+            type: 'EFFICIENCY_IMPROVEMENT',
+            priority: 'MEDIUM',
+            message: `${lowEfficiencyResults.length} cartons have low volume efficiency (<60%). Consider different carton sizes or product orientations.`,
+            affectedCartons: lowEfficiencyResults.map(r => r.cartonId)
+        });
+    }
+
+    // Unpacked items recommendations
+    if (unpackedProducts.length > 0) {
+        recommendations.push({
+            type: 'CAPACITY_SHORTAGE',
+            priority: 'HIGH',
+            message: `${unpackedProducts.length} product types could not be fully packed. Consider adding larger cartons or increasing weight capacity.`,
+            unpackedProducts: unpackedProducts
+        });
+    }
+
+    // Stacking recommendations
+    const singleLayerResults = results.filter(r => r.stackingInfo && r.stackingInfo.totalLayers === 1);
+    if (singleLayerResults.length > results.length * 0.3) {
+        recommendations.push({
+            type: 'STACKING_OPTIMIZATION',
+            priority: 'MEDIUM',
+            message: 'Many cartons use only single layers. Consider products that stack better or adjust carton heights.',
+            affectedCartons: singleLayerResults.map(r => r.cartonId)
+        });
+    }
+
+    return recommendations;
+}
+
+function estimateCarbonFootprint(results) {
+    // Simple carbon footprint estimation based on carton volume and shipping
+    const totalVolume = results.reduce((sum, r) => sum + r.cartonDetails.volume, 0);
+    const totalWeight = results.reduce((sum, r) => sum + r.itemsPacked * 0.5, 0); // Assume 0.5kg per item average
+
+    // Rough estimates: 0.1kg CO2 per cubic meter volume, 0.05kg CO2 per kg weight
+    const volumeFootprint = totalVolume * 0.0001; // Convert to cubic meters and apply factor
+    const weightFootprint = totalWeight * 0.05;
+
+    return {
+        totalFootprint: Math.round((volumeFootprint + weightFootprint) * 100) / 100,
+        volumeComponent: Math.round(volumeFootprint * 100) / 100,
+        weightComponent: Math.round(weightFootprint * 100) / 100,
+        unit: 'kg CO2'
+    };
+}
+
+// Enhanced product objects from request data (dimensions in inches, weight in kg)
+function createProducts(inputProducts) {
+    return inputProducts.map((prod, index) => {
+        const dimensions = resolveProductDimensions(prod);
+        return new Product(
+            dimensions.length,
+            dimensions.breadth,
+            dimensions.height,
+            prod.weight,
+            prod.quantity,
+            {
+                id: prod.id || `product_${index}`,
+                name: prod.name || `Product ${index + 1}`,
+                shape: dimensions.shape,
+                isFragile: prod.isFragile || false,
+                maxStackHeight: prod.maxStackHeight || dimensions.height * 10,
+                maxStackWeight: prod.maxStackWeight || prod.weight * 50,
+                canRotate: prod.canRotate !== false,
+                thisSideUp: prod.thisSideUp === true,
+                allowedOrientations: prod.allowedOrientations,
+                priority: prod.priority || 1,
+                value: prod.value || 0,
+                damageCost: prod.damageCost || (prod.value || 0) * 0.1
+            }
+        );
+    });
+}
+
+// Enhanced carton objects from request data
+function createCartons(cartonsData) {
+    return cartonsData.map((carton, index) => new Carton(
+        carton.length,
+        carton.breadth,
+        carton.height,
+        carton.maxWeight,
+        {
+            id: carton.id || `carton_${index}`,
+            name: carton.name || `Carton ${index + 1}`,
+            availableQuantity: carton.availableQuantity || 1,
+            cost: carton.cost || carton.length * carton.breadth * carton.height * 0.001,
+            shippingCost: carton.shippingCost || (carton.length * carton.breadth * carton.height * 0.0005 + carton.maxWeight * 0.01),
+            tareWeight: carton.tareWeight,
+            outerDimensions: carton.outerDimensions,
+            priority: carton.priority || 1,
+            popularity: carton.popularity || 0,
+            fragileSupport: carton.fragileSupport !== false,
+            maxStackLayers: carton.maxStackLayers || 10
+        }
+    ));
+}
+
+module.exports = {
+    Product,
+    Carton,
+    Position3D,
+    PackedItem,
+    Advanced3DBinPacker,
+    PACKING_STRATEGIES,
+    resolveProductDimensions,
+    createProducts,
+    createCartons,
+    calculateOptimalPacking
+};
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const PackingPlan = require('../models/PackingPlanSchema');
+const BoxData = require('../models/BoxSchema');
+const ItemData = require('../models/ItemSchema');
+const DailyPacked = require('../models/DailyPackedSchema');
+const Reservation = require('../models/ReservationSchema');
+const { getReservedQuantities } = require('./reservations');
+
+// Error that aborts a plan execution with a status and details for the response
+function planError(status, message, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Transactions need a replica set or sharded cluster
+function isTransactionUnsupported(error) {
+    return error.code === 20 || /replica set|Transaction numbers/i.test(error.message);
+}
+
+// Save a packer result as a plan. input holds the Product and Carton objects
+// packed, the request options and units, and the stored item ids it covers
+async function createPackingPlan(source, userId, input, result, { order, session } = {}) {
+    const [plan] = await PackingPlan.create([{
+        source,
+        algorithm: {
+            requested: input.options.algorithm || 'hybrid',
+            used: result.summary.algorithmUsed
+        },
+        input: {
+            products: input.products.map(product => ({ ...product })),
+            cartons: input.cartons.map(carton => ({ ...carton })),
+            options: input.options,
+            units: input.units
+        },
+        productIds: input.productIds || [],
+        order,
+        packingResults: result.packingResults,
+        unpackedProducts: result.unpackedProducts,
+        remainingQuantity: result.remainingQuantity,
+        summary: result.summary,
+        createdBy: userId
+    }], { session });
+    return plan;
+}
+
+// Stock a packing plan consumes: one box per packed carton, grouped by box
+// type, and the packed quantity of every product
+function planRequirements(plan) {
+    const boxes = new Map();
+    const items = new Map();
+
+    for (const carton of plan.packingResults || []) {
+        const boxId = String(carton.cartonDetails.id);
+        const box = boxes.get(boxId) || { boxId, name: carton.cartonDetails.name, quantity: 0 };
+        box.quantity += 1;
+        boxes.set(boxId, box);
+
+        for (const content of carton.products || []) {
+            const itemId = String(content.productId);
+            const item = items.get(itemId) || { itemId, name: content.productName, quantity: 0 };
+            item.quantity += content.itemsPacked;
+            items.set(itemId, item);
+        }
+    }
+
+    return {
+        boxes: [...boxes.values()],
+        items: [...items.values()].filter(item => item.quantity > 0)
+    };
+}
+
+// Take every box and item a plan packs out of stock, record the packed count
+// for today, release the plan's holds and mark the plan executed. Runs inside
+// the caller's transaction: stock is only decremented where enough is left
+// outside other reservations, and any shortfall throws 409 so the caller's
+// transaction rolls back. A plan that belongs to an order is only executed
+// when packing that order (pass its id as order)
+async function executePackingPlan(planId, userId, session, { order } = {}) {
+    const plan = await PackingPlan.findOne({ _id: planId, createdBy: userId }).session(session).lean();
+    if (!plan) {
+        throw planError(404, "Packing plan not found");
+    }
+    if (plan.status !== 'planned') {
+        throw planError(409, `Packing plan is already ${plan.status}`);
+    }
+    if (plan.order && String(plan.order) !== String(order)) {
+        throw planError(409, `This plan belongs to an order; use /orders/${plan.order}/pack to pack it`, { orderId: plan.order });
+    }
+
+    const { boxes, items } = planRequirements(plan);
+    const unknown = [
+        ...boxes.filter(box => !mongoose.isValidObjectId(box.boxId)).map(box => ({ type: 'box', id: box.boxId, name: box.name })),
+        ...items.filter(item => !mongoose.isValidObjectId(item.itemId)).map(item => ({ type: 'item', id: item.itemId, name: item.name }))
+    ];
+    if (unknown.length) {
+        throw planError(422, "Plan packs boxes or items that are not in your inventory", { unknown });
+    }
+
+    // Stock held for other plans and orders is off limits
+    const reserved = await getReservedQuantities(userId, { exclude: { plan: plan._id }, session });
+    const heldBox = box => reserved.boxes.get(box.boxId) || 0;
+    const heldItem = item => reserved.items.get(item.itemId) || 0;
+
+    const now = new Date();
+    const conflicts = [];
+    const boxesUsed = [];
+    const itemsUsed = [];
+
+    for (const box of boxes) {
+        const updated = await BoxData.findOneAndUpdate(
+            { _id: box.boxId, createdBy: userId, quantity: { $gte: box.quantity + heldBox(box) } },
+            { $inc: { quantity: -box.quantity }, $set: { lastUpdated: now, lastUpdatedBy: userId } },
+            { new: true, session }
+        );
+        if (updated) {
+            boxesUsed.push({ ...box, name: updated.box_name, remaining: updated.quantity });
+        } else {
+            const current = await BoxData.findOne({ _id: box.boxId, createdBy: userId }).session(session).lean();
+            conflicts.push({ type: 'box', id: box.boxId, name: box.name, required: box.quantity, available: current ? Math.max(0, current.quantity - heldBox(box)) : 0 });
+        }
+    }
+
+    for (const item of items) {
+        const updated = await ItemData.findOneAndUpdate(
+            { _id: item.itemId, createdBy: userId, deletedAt: null, quantity: { $gte: item.quantity + heldItem(item) } },
+            { $inc: { quantity: -item.quantity }, $set: { lastUpdated: now, lastUpdatedBy: userId } },
+            { new: true, session }
+        );
+        if (updated) {
+            itemsUsed.push({ ...item, name: updated.productName, remaining: updated.quantity });
+        } else {
+            const current = await ItemData.findOne({ _id: item.itemId, createdBy: userId, deletedAt: null }).session(session).lean();
+            conflicts.push({ type: 'item', id: item.itemId, name: item.name, required: item.quantity, available: current ? Math.max(0, current.quantity - heldItem(item)) : 0 });
+        }
+    }
+
+    if (conflicts.length) {
+        throw planError(409, "Stock has changed since this plan was made", { conflicts });
+    }
+
+    const packedCount = itemsUsed.reduce((sum, item) => sum + item.quantity, 0);
+    await DailyPacked.findOneAndUpdate(
+        { user: userId, date: now.toISOString().slice(0, 10) },
+        { $inc: { count: packedCount } },
+        { upsert: true, new: true, session }
+    );
+
+    // The stock is taken now, so the plan's holds are no longer needed
+    await Reservation.deleteMany({ createdBy: userId, plan: plan._id }, { session });
+
+    // Only a still-planned plan can be executed, so a concurrent execution aborts here
+    const executed = await PackingPlan.findOneAndUpdate(
+        { _id: plan._id, status: 'planned' },
+        {
+            $set: {
+                status: 'executed',
+                execution: { boxes: boxesUsed, items: itemsUsed, executedAt: now, executedBy: userId }
+            }
+        },
+        { new: true, session }
+    );
+    if (!executed) {
+        throw planError(409, "Packing plan changed while it was being executed");
+    }
+
+    return { planId: plan._id, status: executed.status, boxes: boxesUsed, items: itemsUsed, packedCount, executedAt: now };
+}
+
+module.exports = {
+    planError,
+    isTransactionUnsupported,
+    createPackingPlan,
+    planRequirements,
+    executePackingPlan
+};
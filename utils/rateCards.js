@@ -0,0 +1,334 @@
+const { getCarrierRule, calculateBillableWeight, checkServiceLimits } = require('./carrierRules');
+const { parseCsv } = require('./csv');
+
+// Rate cards price a shipment by zone and billable weight. A zone matches an
+// origin/destination pincode pair by prefix; the most specific zone wins.
+//
+// CSV layout (one header row, one record per line; the days column is optional):
+//   type,zone,origin,destination,weight,amount,basis,name,days
+//   zone,LOCAL,560,560,,,,,1          -> origins/destinations are |-separated prefixes, * for any; days is transit time
+//   slab,LOCAL,,,0.5,40,,,            -> price (amount) for billable weight up to `weight` kg
+//   additional,LOCAL,,,0.5,30,,,      -> price per extra `weight` kg beyond the heaviest slab
+//   surcharge,,,,,25,flat,Docket fee, -> basis flat or percent (of freight); zone optional
+//   fuel,,,,,12,,,                    -> fuel surcharge percentage of freight plus surcharges
+const CSV_COLUMNS = ['type', 'zone', 'origin', 'destination', 'weight', 'amount', 'basis', 'name', 'days'];
+const LIMIT_FIELDS = ['maxWeight', 'maxLength', 'maxLengthPlusGirth'];
+const SURCHARGE_BASES = ['flat', 'percent'];
+
+function rateCardError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+const splitPrefixes = value => String(value || '*').split('|').map(prefix => prefix.trim()).filter(Boolean);
+
+// Turn rate card CSV rows into the same shape accepted as JSON
+function parseRateCardCsv(text) {
+    const rows = parseCsv(text);
+    const missing = CSV_COLUMNS.slice(0, 6).filter(column => rows.length > 0 && !(column in rows[0]));
+    if (rows.length === 0 || missing.length > 0) {
+        throw rateCardError(`Rate card CSV needs a header row with columns: ${CSV_COLUMNS.join(', ')}`);
+    }
+
+    const card = { zones: [], slabs: [], additionalWeight: [], surcharges: [], fuelSurchargePercent: 0 };
+    for (const row of rows) {
+        switch (String(row.type).toLowerCase()) {
+            case 'zone':
+                card.zones.push({
+                    name: row.zone,
+                    origins: splitPrefixes(row.origin),
+                    destinations: splitPrefixes(row.destination),
+                    ...(row.days && { transitDays: Number(row.days) })
+                });
+                break;
+            case 'slab':
+                card.slabs.push({ zone: row.zone, maxWeight: Number(row.weight), price: Number(row.amount) });
+                break;
+            case 'additional':
+                card.additionalWeight.push({ zone: row.zone, step: Number(row.weight), price: Number(row.amount) });
+                break;
+            case 'surcharge':
+                card.surcharges.push({
+                    name: row.name || 'Surcharge',
+                    basis: (row.basis || 'flat').toLowerCase(),
+                    amount: Number(row.amount),
+                    zones: row.zone ? row.zone.split('|').map(zone => zone.trim()) : []
+                });
+                break;
+            case 'fuel':
+                card.fuelSurchargePercent = Number(row.amount);
+                break;
+            default:
+                throw rateCardError(`Line ${row.line}: unknown record type "${row.type}"`);
+        }
+    }
+    return card;
+}
+
+// Validate a rate card and return a normalised copy; throws status 400 errors
+function normalizeRateCard(input = {}) {
+    const carrierRule = getCarrierRule(input.carrier, input.serviceType);
+    const zones = Array.isArray(input.zones) ? input.zones : [];
+    const slabs = Array.isArray(input.slabs) ? input.slabs : [];
+
+    if (zones.length === 0) {
+        throw rateCardError('Rate card must define at least one zone');
+    }
+    if (slabs.length === 0) {
+        throw rateCardError('Rate card must define at least one weight slab');
+    }
+
+    const card = {
+        name: String(input.name || `${carrierRule.carrierName} ${carrierRule.serviceType}`).trim(),
+        carrier: carrierRule.carrier,
+        serviceType: carrierRule.serviceType,
+        currency: String(input.currency || 'INR').toUpperCase(),
+        zones: zones.map(zone => ({
+            name: String(zone.name || '').trim(),
+            origins: (Array.isArray(zone.origins) ? zone.origins : splitPrefixes(zone.origins)).map(String),
+            destinations: (Array.isArray(zone.destinations) ? zone.destinations : splitPrefixes(zone.destinations)).map(String),
+            ...(zone.transitDays !== undefined && zone.transitDays !== null && { transitDays: Number(zone.transitDays) })
+        })),
+        slabs: slabs.map(slab => ({ zone: String(slab.zone || '').trim(), maxWeight: Number(slab.maxWeight), price: Number(slab.price) })),
+        additionalWeight: (input.additionalWeight || []).map(extra => ({
+            zone: String(extra.zone || '').trim(),
+            step: Number(extra.step),
+            price: Number(extra.price)
+        })),
+        surcharges: (input.surcharges || []).map(surcharge => ({
+            name: String(surcharge.name || 'Surcharge').trim(),
+            basis: String(surcharge.basis || 'flat').toLowerCase(),
+            amount: Number(surcharge.amount),
+            zones: (surcharge.zones || []).map(String)
+        })),
+        fuelSurchargePercent: Number(input.fuelSurchargePercent || 0),
+        // Optional per-piece limits overriding the carrier rule set
+        limits: LIMIT_FIELDS.reduce((limits, field) => {
+            const value = input.limits && input.limits[field];
+            if (value !== undefined && value !== null && value !== '') limits[field] = Number(value);
+            return limits;
+        }, {})
+    };
+
+    const zoneNames = new Set(card.zones.map(zone => zone.name));
+    if (card.zones.some(zone => !zone.name)) {
+        throw rateCardError('Every zone needs a name');
+    }
+    if (zoneNames.size !== card.zones.length) {
+        throw rateCardError('Zone names must be unique');
+    }
+    for (const slab of card.slabs) {
+        if (!zoneNames.has(slab.zone)) {
+            throw rateCardError(`Weight slab refers to unknown zone "${slab.zone}"`);
+        }
+        if (!(slab.maxWeight > 0) || !(slab.price >= 0)) {
+            throw rateCardError(`Weight slab for zone "${slab.zone}" needs a positive weight and a non-negative price`);
+        }
+    }
+    for (const extra of card.additionalWeight) {
+        if (!zoneNames.has(extra.zone) || !(extra.step > 0) || !(extra.price >= 0)) {
+            throw rateCardError(`Additional weight rate for zone "${extra.zone}" is invalid`);
+        }
+    }
+    for (const surcharge of card.surcharges) {
+        if (!SURCHARGE_BASES.includes(surcharge.basis) || !(surcharge.amount >= 0)) {
+            throw rateCardError(`Surcharge "${surcharge.name}" needs a basis of flat or percent and a non-negative amount`);
+        }
+    }
+    if (card.zones.some(zone => zone.transitDays !== undefined && !(zone.transitDays >= 0))) {
+        throw rateCardError('Zone transit days must be a non-negative number');
+    }
+    if (Object.values(card.limits).some(value => !(value > 0))) {
+        throw rateCardError(`Rate card limits (${LIMIT_FIELDS.join(', ')}) must be positive numbers`);
+    }
+    if (!(card.fuelSurchargePercent >= 0)) {
+        throw rateCardError('Fuel surcharge percentage cannot be negative');
+    }
+
+    card.slabs.sort((a, b) => a.maxWeight - b.maxWeight);
+    return card;
+}
+
+// Length of the longest prefix in the list matching the pincode, or -1
+function matchPrefix(prefixes, pincode) {
+    return prefixes.reduce((best, prefix) => {
+        if (prefix === '*' || prefix === '') return Math.max(best, 0);
+        return pincode.startsWith(prefix) ? Math.max(best, prefix.length) : best;
+    }, prefixes.length === 0 ? 0 : -1);
+}
+
+function resolveZone(card, originPincode, destinationPincode) {
+    const origin = String(originPincode || '').trim();
+    const destination = String(destinationPincode || '').trim();
+    if (!/^\d{6}$/.test(origin) || !/^\d{6}$/.test(destination)) {
+        throw rateCardError('originPincode and destinationPincode must be 6-digit pincodes');
+    }
+
+    let best = null;
+    for (const zone of card.zones) {
+        const originMatch = matchPrefix(zone.origins, origin);
+        const destinationMatch = matchPrefix(zone.destinations, destination);
+        if (originMatch < 0 || destinationMatch < 0) continue;
+
+        const specificity = originMatch + destinationMatch;
+        if (!best || specificity > best.specificity) {
+            best = { zone, specificity };
+        }
+    }
+
+    if (!best) {
+        throw rateCardError(`Rate card "${card.name}" has no zone for ${origin} to ${destination}`, 422);
+    }
+    return best.zone.name;
+}
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Quote one carton: freight from the zone's weight slabs, then surcharges and fuel
+function quoteShipment(card, { length, breadth, height, actualWeight }, { originPincode, destinationPincode }) {
+    const zone = resolveZone(card, originPincode, destinationPincode);
+    const billable = calculateBillableWeight({ length, breadth, height, actualWeight },
+        { carrier: card.carrier, serviceType: card.serviceType });
+    const weight = billable.billableWeight;
+
+    const zoneSlabs = card.slabs.filter(slab => slab.zone === zone);
+    if (zoneSlabs.length === 0) {
+        throw rateCardError(`Rate card "${card.name}" has no weight slabs for zone ${zone}`, 422);
+    }
+
+    let freight;
+    const slab = zoneSlabs.find(candidate => weight <= candidate.maxWeight + 1e-9);
+    if (slab) {
+        freight = slab.price;
+    } else {
+        const heaviest = zoneSlabs[zoneSlabs.length - 1];
+        const extra = card.additionalWeight.find(candidate => candidate.zone === zone);
+        if (!extra) {
+            throw rateCardError(`Billable weight ${weight} kg exceeds the heaviest slab for zone ${zone}`, 422);
+        }
+        freight = heaviest.price + Math.ceil((weight - heaviest.maxWeight) / extra.step - 1e-9) * extra.price;
+    }
+
+    const surcharges = card.surcharges
+        .filter(surcharge => surcharge.zones.length === 0 || surcharge.zones.includes(zone))
+        .map(surcharge => ({
+            name: surcharge.name,
+            amount: roundMoney(surcharge.basis === 'percent' ? freight * surcharge.amount / 100 : surcharge.amount)
+        }));
+    const surchargeTotal = surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0);
+    const fuelSurcharge = roundMoney((freight + surchargeTotal) * card.fuelSurchargePercent / 100);
+    const zoneDetails = card.zones.find(candidate => candidate.name === zone);
+    const transitDays = zoneDetails.transitDays !== undefined
+        ? zoneDetails.transitDays
+        : getCarrierRule(card.carrier, card.serviceType).transitDays;
+
+    return {
+        rateCard: card.name,
+        carrier: card.carrier,
+        serviceType: card.serviceType,
+        zone,
+        billableWeight: weight,
+        chargedOn: billable.chargedOn,
+        freight: roundMoney(freight),
+        surcharges,
+        fuelSurcharge,
+        total: roundMoney(freight + surchargeTotal + fuelSurcharge),
+        currency: card.currency,
+        transitDays: transitDays !== undefined ? transitDays : null
+    };
+}
+
+// Quote one rate card for every carton. A card that cannot be quoted (unpriced
+// zone or weight, a stale carrier rule, malformed rates) throws
+function quoteRateCard(rateCard, cartons, route) {
+    const card = normalizeRateCard(rateCard);
+    const rule = getCarrierRule(card.carrier, card.serviceType);
+    const limits = {
+        ...LIMIT_FIELDS.reduce((ruleLimits, field) => ({ ...ruleLimits, [field]: rule[field] }), {}),
+        ...card.limits
+    };
+    const service = {
+        ...(rateCard._id && { rateCardId: rateCard._id }),
+        rateCard: card.name,
+        carrier: card.carrier,
+        carrierName: rule.carrierName,
+        serviceType: card.serviceType,
+        currency: card.currency
+    };
+
+    const limitViolations = cartons.flatMap((carton, cartonIndex) => checkServiceLimits(carton, limits)
+        .map(violation => ({ cartonIndex, cartonId: carton.id, ...violation })));
+
+    let cartonQuotes;
+    try {
+        cartonQuotes = cartons.map(carton => quoteShipment(card, carton, route));
+    } catch (error) {
+        return { ...service, available: false, reason: error.message, limitViolations };
+    }
+
+    return {
+        ...service,
+        zone: cartonQuotes.length > 0 ? cartonQuotes[0].zone : resolveZone(card, route.originPincode, route.destinationPincode),
+        transitDays: cartonQuotes.length > 0 ? cartonQuotes[0].transitDays : null,
+        totalCost: roundMoney(cartonQuotes.reduce((sum, quote) => sum + quote.total, 0)),
+        totalBillableWeight: Math.round(cartonQuotes.reduce((sum, quote) => sum + quote.billableWeight, 0) * 1000) / 1000,
+        available: limitViolations.length === 0,
+        ...(limitViolations.length > 0 && { reason: 'One or more cartons exceed the service limits' }),
+        limitViolations,
+        cartons: cartonQuotes.map((quote, cartonIndex) => ({
+            cartonIndex,
+            cartonId: cartons[cartonIndex].id,
+            billableWeight: quote.billableWeight,
+            chargedOn: quote.chargedOn,
+            cost: quote.total,
+            breakdown: {
+                freight: quote.freight,
+                surcharges: quote.surcharges,
+                fuelSurcharge: quote.fuelSurcharge
+            }
+        }))
+    };
+}
+
+// Quote a set of packed cartons ({ id, length, breadth, height, actualWeight } in
+// inches and kg) against every rate card and rank the services. Services that
+// cannot carry every carton, do not cover the route or whose card cannot be
+// quoted rank after the rest
+function compareRateCards(rateCards, cartons, route) {
+    const quotes = rateCards.map(rateCard => {
+        try {
+            return quoteRateCard(rateCard, cartons, route);
+        } catch (error) {
+            return {
+                ...(rateCard._id && { rateCardId: rateCard._id }),
+                rateCard: rateCard.name,
+                carrier: rateCard.carrier,
+                serviceType: rateCard.serviceType,
+                currency: rateCard.currency,
+                available: false,
+                reason: error.message,
+                limitViolations: []
+            };
+        }
+    });
+
+    const sortKey = quote => [
+        quote.available ? 0 : 1,
+        quote.totalCost !== undefined ? quote.totalCost : Infinity,
+        quote.transitDays !== null && quote.transitDays !== undefined ? quote.transitDays : Infinity
+    ];
+    return quotes
+        .map((quote, index) => ({ quote, index, key: sortKey(quote) }))
+        .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.key[2] - b.key[2] || a.index - b.index)
+        .map(({ quote }, index) => ({ rank: index + 1, ...quote }));
+}
+
+module.exports = {
+    parseCsv,
+    parseRateCardCsv,
+    normalizeRateCard,
+    resolveZone,
+    quoteShipment,
+    compareRateCards
+};
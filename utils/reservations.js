@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/ReservationSchema');
+const BoxData = require('../models/BoxSchema');
+const ItemData = require('../models/ItemSchema');
+
+// Holds last this long unless the request asks otherwise
+const DEFAULT_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+
+// Boxes and items held by the user's unexpired reservations, as
+// { boxes: Map(boxId => quantity), items: Map(itemId => quantity) }. The TTL
+// monitor only runs once a minute, so expired holds are filtered out here too
+async function getReservedQuantities(userId, { exclude = {}, session } = {}) {
+    const filter = { createdBy: userId, expiresAt: { $gt: new Date() } };
+    if (exclude.plan) filter.plan = { $ne: exclude.plan };
+    if (exclude.order) filter.order = { $ne: exclude.order };
+    if (exclude.reservation) filter._id = { $ne: exclude.reservation };
+
+    let query = Reservation.find(filter).select('boxes items');
+    if (session) query = query.session(session);
+    const reservations = await query.lean();
+
+    const boxes = new Map();
+    const items = new Map();
+    for (const reservation of reservations) {
+        for (const { box, quantity } of reservation.boxes || []) {
+            boxes.set(String(box), (boxes.get(String(box)) || 0) + quantity);
+        }
+        for (const { item, quantity } of reservation.items || []) {
+            items.set(String(item), (items.get(String(item)) || 0) + quantity);
+        }
+    }
+    return { boxes, items };
+}
+
+// Stock and hold counts for a box or item record
+function withAvailability(record, reserved) {
+    const reservedQuantity = reserved.get(String(record._id)) || 0;
+    return {
+        ...record,
+        reservedQuantity,
+        availableQuantity: Math.max(0, (record.quantity || 0) - reservedQuantity)
+    };
+}
+
+// Check that the user's stock, less what other reservations hold, covers
+// boxes [{ boxId, quantity }] and items [{ itemId, quantity }]. Returns the ids
+// that are not the user's boxes or items and the lines that are short
+async function findShortages(userId, { boxes = [], items = [] }, { exclude, session } = {}) {
+    const missing = [
+        ...boxes.filter(box => !mongoose.isValidObjectId(box.boxId)).map(box => ({ type: 'box', id: box.boxId })),
+        ...items.filter(item => !mongoose.isValidObjectId(item.itemId)).map(item => ({ type: 'item', id: item.itemId }))
+    ];
+    if (missing.length) {
+        return { missing, shortages: [] };
+    }
+
+    const withSession = query => (session ? query.session(session) : query);
+    const [boxRecords, itemRecords, reserved] = await Promise.all([
+        withSession(BoxData.find({ _id: { $in: boxes.map(box => box.boxId) }, createdBy: userId }).select('box_name quantity')).lean(),
+        withSession(ItemData.find({ _id: { $in: items.map(item => item.itemId) }, createdBy: userId, deletedAt: null }).select('productName quantity')).lean(),
+        getReservedQuantities(userId, { exclude, session })
+    ]);
+
+    const shortages = [];
+    const check = (type, id, quantity, records, reservedMap, nameField) => {
+        const record = records.find(candidate => String(candidate._id) === String(id));
+        if (!record) {
+            missing.push({ type, id });
+            return;
+        }
+        const available = Math.max(0, record.quantity - (reservedMap.get(String(id)) || 0));
+        if (quantity > available) {
+            shortages.push({ type, id, name: record[nameField], required: quantity, available });
+        }
+    };
+    boxes.forEach(box => check('box', box.boxId, box.quantity, boxRecords, reserved.boxes, 'box_name'));
+    items.forEach(item => check('item', item.itemId, item.quantity, itemRecords, reserved.items, 'productName'));
+
+    return { missing, shortages };
+}
+
+// Expiry time for a hold of ttlMinutes (default RESERVATION_TTL_MINUTES)
+function reservationExpiry(ttlMinutes) {
+    const minutes = ttlMinutes === undefined || ttlMinutes === null ? DEFAULT_TTL_MINUTES : Number(ttlMinutes);
+    if (!(minutes >= 1 && minutes <= MAX_TTL_MINUTES)) {
+        const error = new Error(`ttlMinutes must be between 1 and ${MAX_TTL_MINUTES}`);
+        error.status = 400;
+        throw error;
+    }
+    return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+function reservationError(status, message, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Hold boxes [{ boxId, quantity }] and items [{ itemId, quantity }] for
+// ttlMinutes. A hold for a plan or order replaces the one it already had,
+// unless replace is false and the caller releases the old one itself.
+// Throws 404 for ids outside the user's inventory and 409 when unreserved
+// stock falls short
+async function reserveStock(userId, { boxes = [], items = [] }, { plan, order, ttlMinutes, note, replace = true } = {}) {
+    const expiresAt = reservationExpiry(ttlMinutes);
+    const owner = order ? { order } : plan ? { plan } : null;
+
+    const { missing, shortages } = await findShortages(userId, { boxes, items }, { exclude: owner || {} });
+    if (missing.length) {
+        throw reservationError(404, "Boxes or items not found in your inventory", { missing });
+    }
+    if (shortages.length) {
+        throw reservationError(409, "Not enough unreserved stock", { shortages });
+    }
+
+    const reservation = await Reservation.create({
+        plan,
+        order,
+        boxes: boxes.map(box => ({ box: box.boxId, quantity: box.quantity })),
+        items: items.map(item => ({ item: item.itemId, quantity: item.quantity })),
+        note,
+        expiresAt,
+        createdBy: userId
+    });
+
+    // Another hold may have been placed between the check and the insert;
+    // check again counting it, and back out if stock is now over-committed
+    const recheck = await findShortages(userId, { boxes, items }, { exclude: owner || { reservation: reservation._id } });
+    if (recheck.shortages.length) {
+        await Reservation.deleteOne({ _id: reservation._id });
+        throw reservationError(409, "Not enough unreserved stock", { shortages: recheck.shortages });
+    }
+
+    if (owner && replace) {
+        await Reservation.deleteMany({ createdBy: userId, ...owner, _id: { $ne: reservation._id } });
+    }
+    return reservation;
+}
+
+module.exports = {
+    DEFAULT_TTL_MINUTES,
+    getReservedQuantities,
+    withAvailability,
+    findShortages,
+    reservationExpiry,
+    reserveStock
+};
@@ -1,3 +1,11 @@
+const {
+    Product: PackingProduct,
+    Carton: PackingCarton,
+    calculateOptimalPacking: packWithEngine
+} = require('./packingEngine');
+const fs = require('fs');
+const path = require('path');
+
 // Constants for unit conversion
 const CONSTANTS = {
     CM_TO_INCH: 0.393701,
@@ -10,16 +18,47 @@ const CONSTANTS = {
     MAX_WEIGHT: 10000
 };
 
+// Default carton catalogue used when no custom cartons or box inventory are given.
+// DEFAULT_CARTONS_PATH points at an alternative file with the same layout. The
+// cartons are brought from the file's dimensionUnit/weightUnit to inches and kg
+const DEFAULT_CARTONS_PATH = path.join(__dirname, '..', 'config', 'defaultCartons.json');
+
+function loadDefaultCartons(cataloguePath = process.env.DEFAULT_CARTONS_PATH || DEFAULT_CARTONS_PATH) {
+    const catalogue = JSON.parse(fs.readFileSync(cataloguePath, 'utf8'));
+
+    if (!Array.isArray(catalogue.cartons) || catalogue.cartons.length === 0) {
+        throw new Error(`Carton catalogue in ${cataloguePath} must define a non-empty cartons array`);
+    }
+    catalogue.cartons.forEach((carton, index) => {
+        for (const field of ['length', 'breadth', 'height', 'weightLimit']) {
+            if (!(carton[field] > 0)) {
+                throw new Error(`Carton ${index + 1} in ${cataloguePath} needs a positive ${field}`);
+            }
+        }
+    });
+
+    const dimensionUnit = catalogue.dimensionUnit || 'in';
+    const weightUnit = catalogue.weightUnit || 'kg';
+    try {
+        return {
+            ...catalogue,
+            dimensionUnit: 'in',
+            weightUnit: 'kg',
+            cartons: catalogue.cartons.map(carton => ({
+                ...carton,
+                length: convertToInches(carton.length, dimensionUnit),
+                breadth: convertToInches(carton.breadth, dimensionUnit),
+                height: convertToInches(carton.height, dimensionUnit),
+                weightLimit: convertToKg(carton.weightLimit, weightUnit)
+            }))
+        };
+    } catch (error) {
+        throw new Error(`Carton catalogue in ${cataloguePath}: ${error.message}`);
+    }
+}
+
 // Enhanced inventory configuration with better data structure
-const INVENTORY = {
-    cartons: [
-        { id: 1, length: 10, breadth: 8, height: 6, weightLimit: 30, availableQuantity: 50, cost: 2.5 },
-        { id: 2, length: 12, breadth: 10, height: 8, weightLimit: 38, availableQuantity: 40, cost: 3.2 },
-        { id: 3, length: 14, breadth: 12, height: 10, weightLimit: 46, availableQuantity: 30, cost: 4.1 },
-        { id: 4, length: 16, breadth: 14, height: 12, weightLimit: 60, availableQuantity: 20, cost: 5.5 },
-        { id: 5, length: 18, breadth: 16, height: 14, weightLimit: 76, availableQuantity: 10, cost: 7.2 }
-    ]
-};
+const INVENTORY = loadDefaultCartons();
 
 // Enhanced Product Dimensions class with validation
 class ProductDimensions {
@@ -71,6 +110,10 @@ function convertToInches(value, fromUnit) {
         case "centimeter":
         case "centimeters":
             return value * CONSTANTS.CM_TO_INCH;
+        case "mm":
+        case "millimeter":
+        case "millimeters":
+            return value * 0.1 * CONSTANTS.CM_TO_INCH;
         case "ft": 
         case "foot":
         case "feet":
@@ -117,6 +160,16 @@ function convertToKg(value, fromUnit) {
     }
 }
 
+// Convert inches back to a display unit
+function convertFromInches(value, toUnit) {
+    return value / convertToInches(1, toUnit);
+}
+
+// Convert kilograms back to a display unit
+function convertFromKg(value, toUnit) {
+    return value / convertToKg(1, toUnit);
+}
+
 // Enhanced dimension calculation with more shapes
 function calculateDimensions(shape, dimensions, unit) {
     if (!shape || !dimensions || !unit) {
@@ -178,101 +231,87 @@ function calculateDimensions(shape, dimensions, unit) {
     }
 }
 
-// Enhanced optimal packing algorithm
-function calculateOptimalPacking(productDims, weightPerProduct, quantity, customCartons = null) {
-    const cartons = customCartons || INVENTORY.cartons.map(c => new Carton(
-        c.id, c.length, c.breadth, c.height, c.weightLimit, c.availableQuantity, c.cost
-    ));
+// This module's results used to number only three turns of the product:
+// 0 L×B×H, 1 B×H×L and 2 H×L×B. The packer's six orientation indices map
+// onto whichever of those stands the same side up
+const LEGACY_ORIENTATIONS = [0, 2, 0, 1, 2, 1];
 
-    // Sort cartons by efficiency (volume to cost ratio)
-    cartons.sort((a, b) => (a.volume / a.cost) - (b.volume / b.cost));
-
-    const packingResults = [];
-    let remainingQuantity = quantity;
-    const usedCartons = new Set();
-
-    while (remainingQuantity > 0) {
-        let bestOption = null;
-        let bestEfficiency = 0;
-
-        for (const carton of cartons) {
-            if (usedCartons.has(carton.id) || carton.availableQuantity <= 0) continue;
-
-            // Try all orientations
-            const orientations = [
-                [productDims.length, productDims.breadth, productDims.height],
-                [productDims.breadth, productDims.height, productDims.length],
-                [productDims.height, productDims.length, productDims.breadth]
-            ];
-
-            for (let i = 0; i < orientations.length; i++) {
-                const [pL, pB, pH] = orientations[i];
-                
-                const fitL = Math.floor(carton.length / pL);
-                const fitB = Math.floor(carton.breadth / pB);
-                const fitH = Math.floor(carton.height / pH);
-                
-                const itemsFit = fitL * fitB * fitH;
-                
-                if (itemsFit > 0) {
-                    const maxByWeight = Math.floor(carton.weightLimit / weightPerProduct);
-                    const actualFit = Math.min(itemsFit, maxByWeight, remainingQuantity, carton.availableQuantity);
-                    
-                    if (actualFit > 0) {
-                        const volumeUtilization = (actualFit * productDims.volume) / carton.volume;
-                        const efficiency = volumeUtilization / carton.cost;
-                        
-                        if (efficiency > bestEfficiency) {
-                            bestOption = {
-                                carton,
-                                orientation: i,
-                                fitL, fitB, fitH,
-                                itemsFit: actualFit,
-                                efficiency,
-                                volumeUtilization,
-                                totalWeight: actualFit * weightPerProduct,
-                                cost: carton.cost
-                            };
-                            bestEfficiency = efficiency;
-                        }
-                    }
-                }
-            }
+// Pack a single product with the 3D packer and report it in this module's
+// result format. Cartons may be INVENTORY-style (weightLimit) or maxWeight-style;
+// options: shape, productName, algorithm, carrier, serviceType, inventory
+function calculateOptimalPacking(productDims, weightPerProduct, quantity, customCartons = null, options = {}) {
+    const cartonData = (customCartons || options.inventory || INVENTORY.cartons)
+        .filter(carton => carton.availableQuantity === undefined || carton.availableQuantity > 0);
+    const cartons = cartonData.map((carton, index) => new PackingCarton(
+        carton.length,
+        carton.breadth,
+        carton.height,
+        carton.maxWeight || carton.weightLimit,
+        {
+            id: carton.id !== undefined ? carton.id : `custom_${index + 1}`,
+            name: carton.name,
+            // Custom cartons without a stock count can be used as often as needed
+            availableQuantity: carton.availableQuantity !== undefined ? carton.availableQuantity : quantity,
+            cost: carton.cost,
+            tareWeight: carton.tareWeight,
+            outerDimensions: carton.outerDimensions
         }
+    ));
+
+    const shape = String(options.shape || '').toLowerCase();
+    const product = new PackingProduct(productDims.length, productDims.breadth, productDims.height, weightPerProduct, quantity, {
+        id: 'product',
+        name: options.productName || 'Product',
+        shape: ['cylinder', 'sphere'].includes(shape) ? shape : 'cuboid'
+    });
 
-        if (!bestOption) break;
+    const result = cartons.length > 0
+        ? packWithEngine([product], cartons, {
+            algorithm: options.algorithm,
+            carrier: options.carrier,
+            serviceType: options.serviceType
+        })
+        : { packingResults: [], remainingQuantity: quantity, summary: { totalBillableWeight: 0, algorithmUsed: null } };
 
-        packingResults.push({
-            cartonId: bestOption.carton.id,
+    const packingResults = result.packingResults.map(packed => {
+        const carton = packed.cartonDetails;
+        // Report the largest block when the packer split the carton into several
+        const mainBlock = packed.products[0].blocks.reduce((best, block) => (block.itemsPacked > best.itemsPacked ? block : best));
+        const totalWeight = packed.itemsPacked * weightPerProduct;
+        const volumeUtilization = (packed.itemsPacked * product.volume) / carton.volume;
+        const efficiency = volumeUtilization / carton.cost;
+
+        return {
+            cartonId: carton.id,
             cartonSize: {
-                length: bestOption.carton.length,
-                breadth: bestOption.carton.breadth,
-                height: bestOption.carton.height
+                length: carton.length,
+                breadth: carton.breadth,
+                height: carton.height
             },
-            orientation: bestOption.orientation,
-            itemsPacked: bestOption.itemsFit,
+            // The size the carrier measures
+            outerDimensions: { ...carton.outerDimensions },
+            orientation: LEGACY_ORIENTATIONS[mainBlock.orientationIndex],
+            orientationIndex: mainBlock.orientationIndex,  // The packer's orientation, 0-5
+            itemsPacked: packed.itemsPacked,
             arrangement: {
-                lengthwise: bestOption.fitL,
-                breadthwise: bestOption.fitB,
-                heightwise: bestOption.fitH
+                lengthwise: mainBlock.arrangement.lengthwise,
+                breadthwise: mainBlock.arrangement.breadthwise,
+                heightwise: mainBlock.arrangement.layers
             },
-            efficiency: Math.round(bestOption.efficiency * 10000) / 100, // Percentage with 2 decimals
-            volumeUtilization: Math.round(bestOption.volumeUtilization * 10000) / 100,
+            efficiency: Math.round(efficiency * 10000) / 100, // Percentage with 2 decimals
+            volumeUtilization: Math.round(volumeUtilization * 10000) / 100,
             weight: {
-                total: bestOption.totalWeight,
-                limit: bestOption.carton.weightLimit,
-                utilization: Math.round((bestOption.totalWeight / bestOption.carton.weightLimit) * 10000) / 100
+                total: Math.round(totalWeight * 1000) / 1000,
+                gross: Math.round((totalWeight + carton.tareWeight) * 1000) / 1000,  // Contents plus the empty carton
+                limit: carton.maxWeight,
+                utilization: Math.round((totalWeight / carton.maxWeight) * 10000) / 100
             },
-            cost: bestOption.cost
-        });
-
-        remainingQuantity -= bestOption.itemsFit;
-        usedCartons.add(bestOption.carton.id);
-        
-        // Update available quantity
-        bestOption.carton.availableQuantity -= 1;
-    }
+            cost: carton.cost,
+            billableWeight: packed.billableWeight
+        };
+    });
 
+    const remainingQuantity = result.remainingQuantity;
     const totalCost = packingResults.reduce((sum, result) => sum + result.cost, 0);
     const averageEfficiency = packingResults.length > 0 ? 
         packingResults.reduce((sum, result) => sum + result.efficiency, 0) / packingResults.length : 0;
@@ -286,7 +325,9 @@ function calculateOptimalPacking(productDims, weightPerProduct, quantity, custom
             totalCartonsUsed: packingResults.length,
             totalCost: Math.round(totalCost * 100) / 100,
             averageEfficiency: Math.round(averageEfficiency * 100) / 100,
-            packingRate: Math.round(((quantity - remainingQuantity) / quantity) * 10000) / 100
+            packingRate: Math.round(((quantity - remainingQuantity) / quantity) * 10000) / 100,
+            totalBillableWeight: result.summary.totalBillableWeight,
+            algorithmUsed: result.summary.algorithmUsed
         }
     };
 }
@@ -329,10 +370,13 @@ function validateCartons(cartons) {
 module.exports = {
     CONSTANTS,
     INVENTORY,
+    loadDefaultCartons,
     ProductDimensions,
     Carton,
     convertToInches,
     convertToKg,
+    convertFromInches,
+    convertFromKg,
     calculateDimensions,
     calculateOptimalPacking,
     validateProduct,
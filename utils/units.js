@@ -0,0 +1,374 @@
+const { convertToInches, convertToKg, convertFromInches, convertFromKg } = require('./shippingUtils');
+
+// Items, boxes and the packer all work in inches and kilograms. Requests may
+// carry a `units` preference ("metric", "imperial" or { length, weight }) that
+// says which units incoming values are in and which units to answer in
+const CANONICAL_UNITS = { length: 'in', weight: 'kg' };
+const UNIT_SYSTEMS = {
+    metric: { length: 'cm', weight: 'kg' },
+    imperial: { length: 'in', weight: 'lb' }
+};
+const DIMENSION_FIELDS = ['side', 'length', 'breadth', 'height', 'radius', 'diameter'];
+
+function unitsError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function isLengthUnit(unit) {
+    try {
+        convertToInches(1, String(unit));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isWeightUnit(unit) {
+    try {
+        convertToKg(1, String(unit));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Resolve a units preference; anything left out stays canonical
+function resolveUnits(preference) {
+    if (preference === undefined || preference === null || preference === '') {
+        return { ...CANONICAL_UNITS };
+    }
+
+    if (typeof preference === 'string') {
+        const system = UNIT_SYSTEMS[preference.toLowerCase()];
+        if (!system) {
+            throw unitsError(`Unsupported units: ${preference}. Use metric, imperial or { length, weight }`);
+        }
+        return { ...system };
+    }
+
+    if (typeof preference === 'object') {
+        const units = {
+            length: String(preference.length || CANONICAL_UNITS.length).toLowerCase(),
+            weight: String(preference.weight || CANONICAL_UNITS.weight).toLowerCase()
+        };
+        if (!isLengthUnit(units.length)) {
+            throw unitsError(`Unsupported unit: ${units.length}`);
+        }
+        if (!isWeightUnit(units.weight)) {
+            throw unitsError(`Unsupported weight unit: ${units.weight}`);
+        }
+        return units;
+    }
+
+    throw unitsError('units must be metric, imperial or { length, weight }');
+}
+
+// Units preference of a request: body for writes, query string for reads
+function getRequestUnits(req) {
+    const preference = (req.body && req.body.units) || req.query.units;
+    if (typeof preference === 'string' && preference.trim().startsWith('{')) {
+        try {
+            return resolveUnits(JSON.parse(preference));
+        } catch (error) {
+            throw error.status ? error : unitsError('units must be metric, imperial or { length, weight }');
+        }
+    }
+    return resolveUnits(preference);
+}
+
+function isCanonical(units) {
+    return convertToInches(1, units.length) === 1 && convertToKg(1, units.weight) === 1;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+function lengthToInches(value, unit) {
+    return hasValue(value) ? convertToInches(Number(value), unit) : value;
+}
+
+function weightToKg(value, unit) {
+    return hasValue(value) ? convertToKg(Number(value), unit) : value;
+}
+
+function lengthFromInches(value, unit) {
+    return hasValue(value) ? round(convertFromInches(Number(value), unit)) : value;
+}
+
+function weightFromKg(value, unit) {
+    return hasValue(value) ? round(convertFromKg(Number(value), unit)) : value;
+}
+
+function volumeFromCubicInches(value, unit) {
+    return hasValue(value) ? round(Number(value) * Math.pow(convertFromInches(1, unit), 3)) : value;
+}
+
+// Convert every dimension field present (side, length, breadth, height, radius, diameter)
+function convertDimensions(dimensions, convert, unit) {
+    if (!dimensions || typeof dimensions !== 'object') {
+        return dimensions;
+    }
+    const converted = { ...dimensions };
+    for (const field of DIMENSION_FIELDS) {
+        if (hasValue(converted[field])) {
+            converted[field] = convert(converted[field], unit);
+        }
+    }
+    return converted;
+}
+
+// Units an item was stored in. Older items carry free-text units; anything
+// unrecognised is taken as canonical
+function storedItemUnits(item) {
+    return {
+        length: item.unitOfMeasurement && isLengthUnit(item.unitOfMeasurement) ? item.unitOfMeasurement : CANONICAL_UNITS.length,
+        weight: item.unitOfWeight && isWeightUnit(item.unitOfWeight) ? item.unitOfWeight : CANONICAL_UNITS.weight
+    };
+}
+
+// Item dimensions (inches) and weight (kg) whatever units it was saved in
+function itemToCanonical(item) {
+    const units = storedItemUnits(item);
+    const dimensions = item.dimensions && typeof item.dimensions.toObject === 'function'
+        ? item.dimensions.toObject()
+        : item.dimensions;
+    return {
+        dimensions: convertDimensions(dimensions, lengthToInches, units.length),
+        weight: weightToKg(item.weight, units.weight)
+    };
+}
+
+// Item as returned to the client, in the requested units
+function presentItem(item, units) {
+    const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+    const canonical = itemToCanonical(plain);
+    return {
+        ...plain,
+        dimensions: convertDimensions(canonical.dimensions, lengthFromInches, units.length),
+        weight: weightFromKg(canonical.weight, units.weight),
+        ...(hasValue(plain.maxStackHeight) && { maxStackHeight: lengthFromInches(plain.maxStackHeight, units.length) }),
+        ...(hasValue(plain.maxStackWeight) && { maxStackWeight: weightFromKg(plain.maxStackWeight, units.weight) }),
+        unitOfMeasurement: units.length,
+        unitOfWeight: units.weight
+    };
+}
+
+// Packing request product ({ length, breadth, height | side | radius, weight, ... }) in inches and kg
+function productToCanonical(product, units) {
+    return {
+        ...convertDimensions(product, lengthToInches, units.length),
+        weight: weightToKg(product.weight, units.weight),
+        ...(hasValue(product.maxStackHeight) && { maxStackHeight: lengthToInches(product.maxStackHeight, units.length) }),
+        ...(hasValue(product.maxStackWeight) && { maxStackWeight: weightToKg(product.maxStackWeight, units.weight) })
+    };
+}
+
+// Packing request carton ({ length, breadth, height, maxWeight | weightLimit, ... }) in inches and kg
+function cartonToCanonical(carton, units) {
+    return {
+        ...convertDimensions(carton, lengthToInches, units.length),
+        maxWeight: weightToKg(carton.maxWeight, units.weight),
+        ...(hasValue(carton.weightLimit) && { weightLimit: weightToKg(carton.weightLimit, units.weight) })
+    };
+}
+
+// Box as returned to the client, in the requested units
+function presentBox(box, units) {
+    const plain = typeof box.toObject === 'function' ? box.toObject() : box;
+    return {
+        ...plain,
+        length: lengthFromInches(plain.length, units.length),
+        breadth: lengthFromInches(plain.breadth, units.length),
+        height: lengthFromInches(plain.height, units.length),
+        max_weight: weightFromKg(plain.max_weight, units.weight),
+        ...(hasValue(plain.tareWeight) && { tareWeight: weightFromKg(plain.tareWeight, units.weight) }),
+        ...(hasValue(plain.wallThickness) && { wallThickness: lengthFromInches(plain.wallThickness, units.length) }),
+        ...(plain.inner && { inner: convertDimensions(plain.inner, lengthFromInches, units.length) }),
+        ...(plain.outer && { outer: convertDimensions(plain.outer, lengthFromInches, units.length) }),
+        units
+    };
+}
+
+const convertPosition = (position, unit) => position && {
+    ...position,
+    x: lengthFromInches(position.x, unit),
+    y: lengthFromInches(position.y, unit),
+    z: lengthFromInches(position.z, unit)
+};
+
+const convertCartonDetails = (carton, units) => carton && {
+    ...carton,
+    length: lengthFromInches(carton.length, units.length),
+    breadth: lengthFromInches(carton.breadth, units.length),
+    height: lengthFromInches(carton.height, units.length),
+    volume: volumeFromCubicInches(carton.volume, units.length),
+    maxWeight: weightFromKg(carton.maxWeight, units.weight),
+    ...(hasValue(carton.tareWeight) && { tareWeight: weightFromKg(carton.tareWeight, units.weight) }),
+    ...(carton.outerDimensions && { outerDimensions: convertDimensions(carton.outerDimensions, lengthFromInches, units.length) })
+};
+
+// Load per unit of area (kg per square inch) in the requested units
+function loadPerAreaFromCanonical(value, units) {
+    if (!hasValue(value) || !Number.isFinite(Number(value))) return value;
+    return round(convertFromKg(Number(value), units.weight) / Math.pow(convertFromInches(1, units.length), 2));
+}
+
+const convertWasteAnalysis = (waste, unit) => waste && {
+    ...waste,
+    totalWasteVolume: volumeFromCubicInches(waste.totalWasteVolume, unit),
+    totalCartonVolume: volumeFromCubicInches(waste.totalCartonVolume, unit),
+    avgWastePerCarton: volumeFromCubicInches(waste.avgWastePerCarton, unit)
+};
+
+// Packer output in the requested units: every length, volume and weight is
+// converted. Billable weights and rate card quotes stay in the carrier's
+// kilograms and the carbon footprint in kg CO2, each saying so in its own
+// unit field; percentages, ratios and counts have no unit
+function presentPackingResult(result, units) {
+    if (isCanonical(units)) {
+        return { ...result, units };
+    }
+
+    const lengthUnit = units.length;
+    const breakdown = result.summary.cartonTypeBreakdown.map(type => {
+        const cartonDetails = convertCartonDetails(type.cartonDetails, units);
+        return {
+            ...type,
+            ...(cartonDetails && { cartonType: `${cartonDetails.length}×${cartonDetails.breadth}×${cartonDetails.height}` }),
+            cartonDetails
+        };
+    });
+    const { shapePacking } = result.summary;
+    const { analytics } = result;
+
+    return {
+        ...result,
+        units,
+        packingResults: result.packingResults.map(carton => ({
+            ...carton,
+            cartonDetails: convertCartonDetails(carton.cartonDetails, units),
+            ...(hasValue(carton.grossWeight) && { grossWeight: weightFromKg(carton.grossWeight, units.weight) }),
+            products: carton.products.map(content => ({
+                ...content,
+                blocks: content.blocks.map(block => ({
+                    ...block,
+                    position: convertPosition(block.position, lengthUnit),
+                    dimensionsUsed: convertDimensions(block.dimensionsUsed, lengthFromInches, lengthUnit),
+                    ...(block.stackingPattern && {
+                        stackingPattern: {
+                            ...block.stackingPattern,
+                            maxSafeStack: lengthFromInches(block.stackingPattern.maxSafeStack, lengthUnit)
+                        }
+                    }),
+                    ...(block.residualBlocks && {
+                        residualBlocks: block.residualBlocks.map(residual => ({
+                            ...residual,
+                            origin: convertPosition(residual.origin, lengthUnit)
+                        }))
+                    })
+                }))
+            })),
+            ...(carton.stackingInfo && {
+                stackingInfo: {
+                    ...carton.stackingInfo,
+                    averageWeightPerLayer: weightFromKg(carton.stackingInfo.averageWeightPerLayer, units.weight),
+                    maxLoadAbove: weightFromKg(carton.stackingInfo.maxLoadAbove, units.weight)
+                }
+            }),
+            layout: { ...carton.layout, centerOfMass: convertPosition(carton.layout.centerOfMass, lengthUnit) },
+            packedItems: carton.packedItems.map(item => ({
+                ...item,
+                position: convertPosition(item.position, lengthUnit),
+                dimensions: convertDimensions(item.dimensions, lengthFromInches, lengthUnit),
+                ...(hasValue(item.radius) && { radius: lengthFromInches(item.radius, lengthUnit) }),
+                weight: weightFromKg(item.weight, units.weight),
+                volume: volumeFromCubicInches(item.volume, lengthUnit),
+                maxLoad: weightFromKg(item.maxLoad, units.weight),
+                loadAbove: weightFromKg(item.loadAbove, units.weight)
+            })),
+            freeSpaces: carton.freeSpaces.map(space => ({
+                ...convertPosition(space, lengthUnit),
+                ...convertDimensions({ length: space.length, breadth: space.breadth, height: space.height }, lengthFromInches, lengthUnit),
+                ...(hasValue(space.maxLoadPerArea) && { maxLoadPerArea: loadPerAreaFromCanonical(space.maxLoadPerArea, units) }),
+                ...(hasValue(space.supportWeight) && { supportWeight: weightFromKg(space.supportWeight, units.weight) })
+            })),
+            packingMetrics: {
+                ...carton.packingMetrics,
+                wasteSpace: volumeFromCubicInches(carton.packingMetrics.wasteSpace, lengthUnit)
+            }
+        })),
+        summary: {
+            ...result.summary,
+            cartonTypeBreakdown: breakdown,
+            ...(shapePacking && {
+                shapePacking: {
+                    ...shapePacking,
+                    roundProducts: shapePacking.roundProducts.map(product => ({
+                        ...product,
+                        radius: lengthFromInches(product.radius, lengthUnit)
+                    }))
+                }
+            })
+        },
+        ...(analytics && {
+            analytics: {
+                ...analytics,
+                packingQuality: analytics.packingQuality && {
+                    ...analytics.packingQuality,
+                    wasteAnalysis: convertWasteAnalysis(analytics.packingQuality.wasteAnalysis, lengthUnit)
+                },
+                sustainability: analytics.sustainability && {
+                    ...analytics.sustainability,
+                    totalWasteVolume: volumeFromCubicInches(analytics.sustainability.totalWasteVolume, lengthUnit)
+                }
+            }
+        })
+    };
+}
+
+// /calculate-shipping results in the requested units
+function presentShippingResult(result, units) {
+    if (isCanonical(units)) {
+        return { ...result, units };
+    }
+
+    return {
+        ...result,
+        units,
+        packingResults: result.packingResults.map(carton => ({
+            ...carton,
+            cartonSize: convertDimensions(carton.cartonSize, lengthFromInches, units.length),
+            outerDimensions: convertDimensions(carton.outerDimensions, lengthFromInches, units.length),
+            weight: {
+                ...carton.weight,
+                total: weightFromKg(carton.weight.total, units.weight),
+                gross: weightFromKg(carton.weight.gross, units.weight),
+                limit: weightFromKg(carton.weight.limit, units.weight)
+            }
+        }))
+    };
+}
+
+module.exports = {
+    CANONICAL_UNITS,
+    UNIT_SYSTEMS,
+    resolveUnits,
+    getRequestUnits,
+    isCanonical,
+    lengthToInches,
+    weightToKg,
+    lengthFromInches,
+    weightFromKg,
+    volumeFromCubicInches,
+    convertDimensions,
+    storedItemUnits,
+    itemToCanonical,
+    presentItem,
+    productToCanonical,
+    cartonToCanonical,
+    presentBox,
+    presentPackingResult,
+    presentShippingResult
+};